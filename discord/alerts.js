@@ -1,12 +1,18 @@
 import {
+    itemTypes,
+    RarityTier,
     removeDupeAlerts,
-    wait
+    timezoneOffset,
+    wait,
+    WeaponType
 } from "../misc/util.js";
-import { authUser, deleteUserAuth, getUser, getUserList, getAlertUserList, beginUserCacheScope, endUserCacheScope, invalidateUserCache } from "../valorant/auth.js";
-import { getOffers } from "../valorant/shop.js";
-import { getSkin } from "../valorant/cache.js";
+import { authUser, deleteUserAuth, getUser, getPuuid, getUserList, getAlertUserList, beginUserCacheScope, endUserCacheScope, invalidateUserCache } from "../valorant/auth.js";
+import { getShop, getOffers, getNightMarket, getBundles, getShopCache, pruneShopCache } from "../valorant/shop.js";
+import { getSkin, getBundle, getPrice } from "../valorant/cache.js";
 import {
     alertsPageEmbed,
+    alertHistoryPageEmbed,
+    renderDigest,
     authFailureMessage,
     basicEmbed,
     renderOffers,
@@ -15,18 +21,24 @@ import {
     fetchChannel,
     getChannelGuildId,
     skinNameAndEmoji,
+    getAlertItem,
+    alertNameAndEmoji,
+    ruleDescription,
     removeAlertActionRow,
     removeAlertButton,
-    discordTag
+    discordTag,
+    patchEmbed
 } from "./embed.js";
 import config from "../misc/config.js";
 import { l, s } from "../misc/languages.js";
 import { readUserJson, saveUser } from "../valorant/accountSwitcher.js";
-import { beginBatchWrites, commitBatchWrites } from "../misc/userDatabase.js";
+import { beginBatchWrites, commitBatchWrites, addAlertHistory, getAlertHistory, countAlertHistory, pruneAlertHistory, getAllGuildWatches, getUserIdsWithScheduledDailyShop, setDailyShopDelivered, startAlertRun, finishAlertRun, getUnfinishedAlertRun, getAlertRunProgress, addAlertRunProgress, pruneAlertRuns, addToOutbox, getDigest, saveDigest, getDueOutbox, rescheduleOutbox, setOutboxError, removeFromOutbox, getPatchSubscriptions } from "../misc/userDatabase.js";
 import { sendShardMessageForChannel, onShardMessage } from "../misc/shardMessage.js";
-import { VPEmoji } from "./emoji.js";
+import { VPEmoji, KCEmoji } from "./emoji.js";
 import { getSetting } from "../misc/settings.js";
 import { ActionRowBuilder } from "discord.js";
+import { hasWebhookTargets, sendAlertWebhooks, sendDailyShopWebhooks } from "./webhooks.js";
+import { getSkins } from "../valorant/inventory.js";
 
 let alertsClient = null;
 export const setAlertsClient = (client) => {
@@ -35,8 +47,17 @@ export const setAlertsClient = (client) => {
 const getClient = () => alertsClient;
 
 /* Alert format: {
- *     uuid: skin uuid
+ *     uuid: skin uuid, or the uuid of the bundle/accessory the alert is for
  *     channel_id: discord text channel id the alert was sent in
+ *     type?: "bundle" to watch for a bundle to be featured, one of accessoryAlertTypes
+ *            for the accessory store, "rule" for a rule, skin alert otherwise
+ *     rule?: for rule alerts, {weapon?, rarity?, maxPrice?, line?, bundle?} (see skinMatchesRule)
+ *     min_discount?: if set, only notify when the skin is in the night market with at least this % off
+ *     once?: if true, the alert is removed after it has been delivered once
+ *     expires_at?: unix timestamp (seconds) after which the alert is ignored and pruned
+ *     nm_notified?: expiry timestamp of the night market the user was last notified about
+ *     bundle_notified?: expiry timestamp of the featured bundle the user was last notified about
+ *     accessory_notified?: expiry timestamp of the accessory store the user was last notified about
  * }
  * Each user should have one alert per skin.
  */
@@ -76,8 +97,21 @@ export const canAccessChannel = async (channelId) => {
     }
 };
 
-export const addAlert = (id, alert) => {
-    const user = getUser(id);
+// whether the user can send in that channel themselves: a DM with them,
+// or a server channel they're in with View Channel and Send Messages
+const userCanUseChannel = async (channelId, userId) => {
+    const channel = await fetchChannel(channelId);
+    if (!channel) return false;
+    if (!channel.guild) return channel.recipientId === userId;
+
+    const member = await channel.guild.members.fetch(userId).catch(() => null);
+    if (!member) return false;
+    const permissions = channel.permissionsFor(member);
+    return !!permissions?.has('ViewChannel') && permissions.has('SendMessages');
+};
+
+export const addAlert = (id, alert, account = null) => {
+    const user = getUser(id, account);
     if (!user || !alert?.uuid) return;
 
     if (!Array.isArray(user.alerts)) user.alerts = [];
@@ -90,7 +124,7 @@ export const addAlert = (id, alert) => {
         user.alerts.push(alert);
     }
     user.alerts = removeDupeAlerts(user.alerts);
-    saveUser(user);
+    saveUser(user, account);
     invalidateUserCache(id);
 };
 
@@ -112,7 +146,7 @@ export const alertExists = (id, uuid) => {
 }
 
 export const filteredAlertsForUser = async (interaction) => {
-    let alerts = alertsForUser(interaction.user.id);
+    let alerts = alertsForUser(interaction.user.id).filter(alert => !isAlertExpired(alert));
 
     // bring the alerts in this channel to the top
     const alertPriority = (alert) => {
@@ -143,36 +177,314 @@ export const alertsPerChannelPerGuild = async () => {
 
 export const removeAlert = (id, uuid) => {
     const user = getUser(id);
-    const alertCount = user.alerts.length;
+    const removedAlert = user.alerts.find(alert => alert.uuid === uuid);
     user.alerts = user.alerts.filter(alert => alert.uuid !== uuid);
     saveUser(user);
-    return alertCount > user.alerts.length;
+    return removedAlert || false;
+}
+
+/**
+ * Match alerts against a night market. Alerts already notified for the
+ * current market are skipped, since the offers stay the same until it ends.
+ *
+ * @param {Object[]} alerts
+ * @param {{offers: Object[]|false, expires: number}} market formatted night market
+ * @param {number} [now]
+ * @returns {{alert: Object, offer: Object, expires: number}[]}
+ */
+export const nightMarketAlertMatches = (alerts, market, now = Date.now()) => {
+    if (!market?.offers) return [];
+
+    const matches = [];
+    for (const alert of alerts) {
+        if (alert.nm_notified && alert.nm_notified > now / 1000) continue;
+
+        const offer = market.offers.find(offer => offer.uuid === alert.uuid);
+        if (offer && offer.percent >= (alert.min_discount || 0)) matches.push({ alert, offer, expires: market.expires });
+    }
+    return matches;
+}
+
+/**
+ * Match alerts against the featured bundles. Bundle alerts match when the
+ * bundle itself is featured, skin alerts when the skin is one of its items.
+ *
+ * @param {Object[]} alerts
+ * @param {{uuid: string, expires: number, items: Object[]}[]} bundles
+ * @param {number} [now]
+ * @returns {{alert: Object, bundle: {uuid: string}, expires: number}[]}
+ */
+export const bundleAlertMatches = (alerts, bundles, now = Date.now()) => {
+    const matches = [];
+    for (const alert of alerts) {
+        if (alert.min_discount) continue;
+        if (alert.bundle_notified && alert.bundle_notified > now / 1000) continue;
+
+        const bundle = bundles.find(bundle => alert.type === "bundle" ?
+            bundle.uuid === alert.uuid :
+            bundle.items?.some(item => item.uuid === alert.uuid));
+        if (bundle) matches.push({ alert, bundle: { uuid: bundle.uuid }, expires: bundle.expires });
+    }
+    return matches;
+}
+
+/**
+ * Check a skin against a rule alert. Every property of the rule that is set
+ * has to match: weapon and rarity uuids, max price in VP and skin line code
+ * (from extractBundleCode(), "bundle" is the uuid it came from).
+ *
+ * @param {Object} skin
+ * @param {number|null} price
+ * @param {{weapon?: string, rarity?: string, maxPrice?: number, line?: string}} rule
+ * @returns {boolean}
+ */
+export const skinMatchesRule = (skin, price, rule) => {
+    if (!skin || !rule) return false;
+    if (rule.weapon && skin.weapon !== rule.weapon) return false;
+    if (rule.rarity && skin.rarity !== rule.rarity) return false;
+    if (rule.maxPrice && (!price || price > rule.maxPrice)) return false;
+    if (rule.line && !skin.assetPath?.toLowerCase().includes(`/${rule.line}/`)) return false;
+    return true;
+}
+
+const ruleAlertMatches = async (alerts, offers, expires) => {
+    const ruleAlerts = alerts.filter(alert => alert.type === "rule");
+    if (!ruleAlerts.length) return [];
+
+    const matches = [];
+    for (const uuid of offers) {
+        const skin = await getSkin(uuid);
+        const price = await getPrice(uuid, skin);
+        for (const alert of ruleAlerts) {
+            if (skinMatchesRule(skin, price, alert.rule)) matches.push({ alert, skin: uuid, expires });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Parse the "expires" option of /alert, either a date (YYYY-MM-DD, the alert
+ * lasts until the end of that day UTC) or a number of days ("7" or "7d").
+ *
+ * @param {string} input
+ * @param {number} [now]
+ * @returns {number|null} unix timestamp in seconds, null if invalid or in the past
+ */
+export const parseAlertExpiry = (input, now = Date.now()) => {
+    if (!input) return null;
+    input = input.trim().toLowerCase();
+
+    let expiresAt;
+    const date = input.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const days = input.match(/^(\d{1,4})\s*d?$/);
+    if (date) {
+        const [year, month, day] = date.slice(1).map(n => parseInt(n));
+        const startOfDay = new Date(Date.UTC(year, month - 1, day));
+        if (startOfDay.getUTCMonth() !== month - 1 || startOfDay.getUTCDate() !== day) return null; // e.g. 2024-02-31
+        expiresAt = startOfDay.getTime() / 1000 + 24 * 60 * 60;
+    } else if (days) {
+        expiresAt = Math.floor(now / 1000) + parseInt(days[1]) * 24 * 60 * 60;
+    } else return null;
+
+    if (expiresAt <= now / 1000) return null;
+    return expiresAt;
+}
+
+export const isAlertExpired = (alert, now = Date.now()) => !!alert.expires_at && alert.expires_at <= now / 1000;
+
+// one-shot alerts are removed once they've been delivered
+const removeDeliveredOnceAlerts = (id, account, alerts) => {
+    const delivered = alerts.filter(alert => alert.once).map(alert => alert.uuid);
+    if (!delivered.length) return;
+
+    const user = getUser(id, account);
+    if (!user) return;
+
+    user.alerts = user.alerts.filter(alert => !delivered.includes(alert.uuid));
+    saveUser(user, account);
+    invalidateUserCache(id);
+}
+
+// accessory store reward ItemTypeID -> alert type
+export const accessoryAlertTypes = {
+    [itemTypes.BUDDY]: "buddy",
+    [itemTypes.CARD]: "card",
+    [itemTypes.SPRAY]: "spray",
+    [itemTypes.TITLE]: "title",
+    [itemTypes.FLEX]: "flex"
+};
+
+/**
+ * Match accessory alerts against the accessory store offers from getOffers().
+ *
+ * @param {Object[]} alerts
+ * @param {{offers: {cost: number, rewards: Object[]}[], expires: number}} accessory
+ * @param {number} [now]
+ * @returns {{alert: Object, offer: {cost: number}, expires: number}[]}
+ */
+export const accessoryAlertMatches = (alerts, accessory, now = Date.now()) => {
+    if (!accessory?.offers) return [];
+
+    const matches = [];
+    for (const alert of alerts) {
+        if (!Object.values(accessoryAlertTypes).includes(alert.type)) continue;
+        if (alert.accessory_notified && alert.accessory_notified > now / 1000) continue;
+
+        const offer = accessory.offers.find(offer => offer.rewards.some(reward =>
+            reward.ItemID === alert.uuid && accessoryAlertTypes[reward.ItemTypeID] === alert.type));
+        if (offer) matches.push({ alert, offer: { cost: offer.cost }, expires: accessory.expires });
+    }
+    return matches;
+}
+
+// getBundles() fetches the whole shop again if a bundle is missing its items,
+// so prefer the bundle list from the shop cache and fill in the items ourselves
+const getFeaturedBundles = async (id, account, storefront = null) => {
+    const shopCache = await getShopCache(getPuuid(id, account), "bundles", false);
+    const featured = shopCache ? shopCache.bundles : (await getBundles(id, account, storefront)).bundles;
+    if (!featured) return [];
+
+    return await Promise.all(featured.map(async bundle => ({
+        ...bundle,
+        items: bundle.items || (await getBundle(bundle.uuid))?.items || []
+    })));
+}
+
+// the night market, featured bundles and accessory store stay the same for several
+// days, so remember until when each alert was notified to avoid pinging every day
+const markAlertsNotified = (id, account, matches, field) => {
+    const user = getUser(id, account);
+    if (!user) return;
+
+    const notified = Object.fromEntries(matches.map(match => [match.alert.uuid, match.expires]));
+    user.alerts = user.alerts.map(alert => alert.uuid in notified ? { ...alert, [field]: notified[alert.uuid] } : alert);
+    saveUser(user, account);
+    invalidateUserCache(id);
+}
+
+// keep track of every alert that went off and whether it reached the user, see /alerts history
+const recordAlertHistory = (id, account, store, matches, channelId, status) => {
+    const puuid = getPuuid(id, account);
+    addAlertHistory(matches.map(match => ({
+        userId: id,
+        puuid,
+        alertUuid: match.alert.uuid,
+        itemUuid: match.skin || match.alert.uuid,
+        itemType: match.skin ? null : match.alert.type,
+        store, channelId, status
+    })));
+}
+
+// a one-shot alert that matched one store shouldn't also be sent for the next one
+const withoutOnceAlerts = (alerts, matched) => alerts.filter(alert => !alert.once || !matched.some(other => other.uuid === alert.uuid));
+
+/* Digest, for users with the "digest" deliveryMode: everything that would
+ * have been sent separately during an alert run, in one message. {
+ *     expires: when the daily shop in it resets
+ *     accounts: {
+ *         [account number]: {
+ *             shop: the daily shop offers, null if the user doesn't get it
+ *             matches: alert matches, like for sendStoreAlert() but with their store
+ *             nightMarket: {expires} if the night market is open, otherwise null
+ *             bundles: [{uuid, expires, new}] featured bundles, new if they weren't in the last digest
+ *         }
+ *     }
+ * }
+ */
+const newDigest = () => ({ expires: null, accounts: {} });
+
+const addDigestPage = (digest, account, shop) => {
+    const page = { shop: shop || null, matches: [], nightMarket: null, bundles: [] };
+    digest.accounts[account] = page;
+    if (shop) digest.expires = shop.expires;
+    return page;
+}
+
+const addDigestMatches = (page, store, matches) => {
+    page.matches.push(...matches.map(match => ({ ...match, store })));
+}
+
+const setDigestStores = (page, market, bundles) => {
+    page.nightMarket = market.success && market.offers ? { expires: market.expires } : null;
+    page.bundles = bundles.map(bundle => ({ uuid: bundle.uuid, expires: bundle.expires }));
+}
+
+/**
+ * Flag the featured bundles that weren't there in the previous digest.
+ */
+export const markNewDigestBundles = (digest, previous) => {
+    for (const [account, page] of Object.entries(digest.accounts)) {
+        const previousBundles = previous?.accounts?.[account]?.bundles;
+        for (const bundle of page.bundles) {
+            bundle.new = !!previousBundles && !previousBundles.some(other => other.uuid === bundle.uuid);
+        }
+    }
+    return digest;
+}
+
+// the daily shop channel, or the channel of the first alert that went off
+const digestChannelId = (id, digest) => {
+    const pages = Object.values(digest.accounts);
+    if (!pages.some(page => page.shop || page.matches.length)) return null;
+
+    const dailyShopChannel = getSetting(id, "dailyShop");
+    if (dailyShopChannel) return dailyShopChannel;
+    return pages.find(page => page.matches.length)?.matches[0].alert.channel_id || null;
 }
 
 const ALERT_BATCH_SIZE = 50;
 
+// the shop resets every day at 00:00 UTC
+const shopDay = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+
+/**
+ * What an alert run already did, saved as it goes so that if the bot
+ * restarts halfway through, the run can resume without sending anything twice.
+ * Steps are "done" once a user is fully processed, or "<account>/<what>" once
+ * something was delivered for that account.
+ */
+const alertRunCheckpoint = (runId) => {
+    const progress = new Set(getAlertRunProgress(runId).map(({ userId, step }) => `${userId}/${step}`));
+    return {
+        id: runId,
+        has: (userId, step) => progress.has(`${userId}/${step}`),
+        mark: (userId, step) => {
+            progress.add(`${userId}/${step}`);
+            addAlertRunProgress(runId, userId, step);
+        }
+    };
+}
+
 /**
  * Process alerts for a single user across all their Valorant accounts.
  * Extracted so it can be called from both sequential and concurrent paths.
  *
  * @param {string}  id               Discord user ID
  * @param {boolean} initialShouldWait If true, delay before the first real network fetch
+ * @param {ReturnType<typeof alertRunCheckpoint>} [run] skips what was already delivered during this run
  * @returns {boolean} shouldWait state after this user (pass to the next user in sequential mode)
  */
-const processUserAlerts = async (id, initialShouldWait = false) => {
+const processUserAlerts = async (id, initialShouldWait = false, run = null) => {
     let shouldWait = initialShouldWait;
     let credsExpiredAlerts = false;
 
     const userJson = readUserJson(id);
     if (!userJson) return shouldWait;
 
+    // in digest mode, everything is gathered and sent in one message at the end
+    const digest = getSetting(id, "deliveryMode") === "digest" ? newDigest() : null;
+
     const accountCount = userJson.accounts.length;
     for (let i = 1; i <= accountCount; i++) {
 
         const rawUserAlerts = alertsForUser(id, i);
-        const dailyShopChannel = getSetting(id, "dailyShop");
-        if (!rawUserAlerts?.length && !dailyShopChannel) continue;
-        if (!rawUserAlerts?.length && dailyShopChannel && i !== userJson.currentAccount) continue;
+        // users who picked a delivery time get their shop from checkScheduledDailyShops() instead
+        const dailyShopChannel = (digest || getSetting(id, "dailyShopTime") === "Reset") && getSetting(id, "dailyShop");
+        const guildWatch = getSetting(id, "guildWatch") && getSetting(id, "othersCanViewShop");
+        const dailyShopWebhooks = hasWebhookTargets(id, "dailyShop");
+        if (!rawUserAlerts?.length && !dailyShopChannel && !guildWatch && !dailyShopWebhooks) continue;
+        // the digest has the shop of every account
+        if (!rawUserAlerts?.length && i !== userJson.currentAccount && !(digest && dailyShopChannel)) continue;
 
         if (shouldWait) {
             await wait(config.delayBetweenAlerts); // to prevent being ratelimited
@@ -184,16 +496,18 @@ const processUserAlerts = async (id, initialShouldWait = false) => {
         const discordUsername = discordUser ? discordUser.username : id;
         console.log(`Checking user ${discordUsername}'s ${valorantUser.username} account (${i}/${accountCount}) for alerts...`);
 
-        const userAlerts = removeDupeAlerts(rawUserAlerts);
+        let userAlerts = removeDupeAlerts(rawUserAlerts).filter(alert => !isAlertExpired(alert));
         if (userAlerts.length !== rawUserAlerts.length) {
             valorantUser.alerts = userAlerts;
             saveUser(valorantUser, i);
             invalidateUserCache(id);
         }
 
-        let offers;
+        let offers, storefront;
         do { // retry loop in case of rate limit or maintenance
-            offers = await getOffers(id, i);
+            // without the shop cache, the night market and bundles below would each fetch the storefront again
+            storefront = config.useShopCache ? null : await getShop(id, i);
+            offers = await getOffers(id, i, storefront);
             shouldWait = valorantUser.auth && !offers.cached;
 
             if (!offers.success) {
@@ -228,14 +542,88 @@ const processUserAlerts = async (id, initialShouldWait = false) => {
 
         } while (!offers.success);
 
+        // only send what wasn't already sent before the bot restarted
+        const deliverOnce = async (step, deliver) => {
+            if (run?.has(id, `${i}/${step}`)) return;
+            await deliver();
+            run?.mark(id, `${i}/${step}`);
+        }
+
         if (offers.success && offers.offers) {
-            if (dailyShopChannel && i === userJson.currentAccount) await sendDailyShop(id, offers, dailyShopChannel, valorantUser);
+            const digestPage = digest && addDigestPage(digest, i, dailyShopChannel && offers);
+
+            if (dailyShopChannel && i === userJson.currentAccount && !digest) await deliverOnce("dailyShop", async () => {
+                await sendDailyShop(id, offers, dailyShopChannel, valorantUser);
+                setDailyShopDelivered(id, shopDay());
+            });
+            if (guildWatch && i === userJson.currentAccount) await deliverOnce("guildWatch", () => sendGuildWatchAlerts(id, valorantUser, offers));
+            if (dailyShopWebhooks && i === userJson.currentAccount) await deliverOnce("dailyShopWebhooks", () => sendDailyShopWebhooks(id, i, offers));
+
+            // alerts with a minimum discount only care about the night market
+            const positiveAlerts = userAlerts.filter(alert => !alert.type && !alert.min_discount && offers.offers.includes(alert.uuid));
+            if (positiveAlerts.length) {
+                if (digestPage) addDigestMatches(digestPage, "daily", positiveAlerts.map(alert => ({ alert, skin: alert.uuid, expires: offers.expires })));
+                else await deliverOnce("daily", () => sendAlert(id, i, positiveAlerts, offers.expires));
+            }
+            userAlerts = withoutOnceAlerts(userAlerts, positiveAlerts);
+
+            const ruleMatches = await ruleAlertMatches(userAlerts, offers.offers, offers.expires);
+            if (ruleMatches.length) {
+                if (digestPage) addDigestMatches(digestPage, "daily", ruleMatches);
+                else await deliverOnce("rules", () => sendStoreAlert(id, i, "daily", ruleMatches));
+            }
+            userAlerts = withoutOnceAlerts(userAlerts, ruleMatches.map(match => match.alert));
+
+            // every match also goes to the user's webhooks, in one payload per account (queued, the loop doesn't wait for them)
+            const webhookMatches = [
+                ...positiveAlerts.map(alert => ({ alert, store: "daily", expires: offers.expires })),
+                ...ruleMatches.map(match => ({ ...match, store: "daily" }))
+            ];
+
+            if (userAlerts.length || digestPage) {
+                const market = await getNightMarket(id, i, storefront);
+                const nightMarketMatches = market.success ? nightMarketAlertMatches(userAlerts, market) : [];
+                if (nightMarketMatches.length) {
+                    if (digestPage) addDigestMatches(digestPage, "nightMarket", nightMarketMatches);
+                    else await sendStoreAlert(id, i, "nightMarket", nightMarketMatches);
+                    markAlertsNotified(id, i, nightMarketMatches, "nm_notified");
+                }
+                userAlerts = withoutOnceAlerts(userAlerts, nightMarketMatches.map(match => match.alert));
+                webhookMatches.push(...nightMarketMatches.map(match => ({ ...match, store: "nightMarket" })));
+
+                const featuredBundles = await getFeaturedBundles(id, i, storefront);
+                const bundleMatches = bundleAlertMatches(userAlerts, featuredBundles);
+                if (bundleMatches.length) {
+                    if (digestPage) addDigestMatches(digestPage, "bundle", bundleMatches);
+                    else await sendStoreAlert(id, i, "bundle", bundleMatches);
+                    markAlertsNotified(id, i, bundleMatches, "bundle_notified");
+                }
+                userAlerts = withoutOnceAlerts(userAlerts, bundleMatches.map(match => match.alert));
+                webhookMatches.push(...bundleMatches.map(match => ({ ...match, store: "bundle" })));
+
+                const accessoryMatches = accessoryAlertMatches(userAlerts, offers.accessory);
+                if (accessoryMatches.length) {
+                    if (digestPage) addDigestMatches(digestPage, "accessory", accessoryMatches);
+                    else await sendStoreAlert(id, i, "accessory", accessoryMatches);
+                    markAlertsNotified(id, i, accessoryMatches, "accessory_notified");
+                }
+                webhookMatches.push(...accessoryMatches.map(match => ({ ...match, store: "accessory" })));
 
-            const positiveAlerts = userAlerts.filter(alert => offers.offers.includes(alert.uuid));
-            if (positiveAlerts.length) await sendAlert(id, i, positiveAlerts, offers.expires);
+                if (digestPage) setDigestStores(digestPage, market, featuredBundles);
+            }
+
+            await deliverOnce("webhooks", () => sendAlertWebhooks(id, i, webhookMatches));
         }
     }
 
+    const digestChannel = digest && digestChannelId(id, digest);
+    if (digestChannel && !run?.has(id, "digest")) {
+        saveDigest(id, markNewDigestBundles(digest, getDigest(id)));
+        await sendDigest(id, digestChannel);
+        if (getSetting(id, "dailyShop")) setDailyShopDelivered(id, shopDay());
+        run?.mark(id, "digest");
+    }
+
     if (credsExpiredAlerts) {
         // user login is invalid
         const channelsSent = [];
@@ -250,7 +638,12 @@ const processUserAlerts = async (id, initialShouldWait = false) => {
     return shouldWait;
 }
 
-export const checkAlerts = async () => {
+let alertCheckRunning = false;
+
+/**
+ * @param {number} [resumeRunId] continue an alert run that didn't finish, see resumeAlertCheck()
+ */
+export const checkAlerts = async (resumeRunId = null) => {
     const client = getClient();
     const myShardId = client?.shard?.ids?.[0] ?? 0;
 
@@ -259,14 +652,27 @@ export const checkAlerts = async () => {
         return;
     }
 
-    console.log("[Shard 0] Checking new shop skins for alerts...");
+    if (alertCheckRunning) {
+        console.log("[Shard 0] Alerts are already being checked, skipping.");
+        return;
+    }
+    alertCheckRunning = true;
+
+    console.log(resumeRunId ? `[Shard 0] Resuming alert run #${resumeRunId}...` : "[Shard 0] Checking new shop skins for alerts...");
+
+    if (config.alertHistoryDays) pruneAlertHistory(Date.now() - config.alertHistoryDays * 24 * 60 * 60 * 1000);
+    pruneAlertRuns(shopDay());
+    pruneShopCache();
 
     try {
+        const run = alertRunCheckpoint(resumeRunId || startAlertRun(shopDay()));
+
         const allUsers = getAlertUserList();
-        const userList = allUsers.filter(id => id);
+        const userList = allUsers.filter(id => id && !run.has(id, "done"));
 
         if (userList.length === 0) {
             console.log("[Shard 0] No active alert users found, skipping.");
+            finishAlertRun(run.id);
             return;
         }
 
@@ -285,7 +691,8 @@ export const checkAlerts = async () => {
                     try {
                         beginUserCacheScope();
                         // Each concurrent task starts fresh — no inter-user delay needed
-                        await processUserAlerts(id);
+                        await processUserAlerts(id, false, run);
+                        run.mark(id, "done");
                     } catch (e) {
                         console.error("There was an error while trying to fetch and send alerts for user " + discordTag(id));
                         console.error(e);
@@ -309,7 +716,8 @@ export const checkAlerts = async () => {
                         const id = userList[j];
                         try {
                             beginUserCacheScope();
-                            shouldWait = await processUserAlerts(id, shouldWait);
+                            shouldWait = await processUserAlerts(id, shouldWait, run);
+                            run.mark(id, "done");
                         } catch (e) {
                             console.error("There was an error while trying to fetch and send alerts for user " + discordTag(id));
                             console.error(e);
@@ -324,15 +732,223 @@ export const checkAlerts = async () => {
             }
         }
 
+        finishAlertRun(run.id);
         console.log(`[Shard ${myShardId}] Finished checking alerts!`);
     } catch (e) {
         // should I send messages in the discord channels?
         console.error("There was an error while trying to send alerts!");
         console.error(e);
+    } finally {
+        alertCheckRunning = false;
+    }
+}
+
+/**
+ * If the bot restarted in the middle of today's alert check, pick it back up.
+ * Called by shard 0 on startup.
+ */
+export const resumeAlertCheck = async () => {
+    const client = getClient();
+    if (client?.shard && (client.shard.ids?.[0] ?? 0) !== 0) return;
+
+    const run = getUnfinishedAlertRun(shopDay());
+    if (!run) return;
+
+    console.log(`[Shard 0] The alert run started at ${new Date(run.startedAt).toISOString()} didn't finish.`);
+    await checkAlerts(run.id);
+}
+
+/**
+ * When to post the daily shop for someone who wants it at a given local hour.
+ * This is the first time that hour comes around after the shop reset.
+ *
+ * @param {number} shopDayStart unix timestamp (ms) of the shop reset
+ * @param {number} hour 0-23, in the user's timezone
+ * @param {string} timeZone IANA timezone, e.g. "Europe/Paris"
+ * @returns {number} unix timestamp (ms)
+ */
+export const dailyShopDeliveryTime = (shopDayStart, hour, timeZone) => {
+    const minutesAfterReset = (offset) => ((hour * 60 - offset) % 1440 + 1440) % 1440;
+
+    let deliveryTime = shopDayStart + minutesAfterReset(timezoneOffset(timeZone, shopDayStart)) * 60 * 1000;
+
+    // the offset could be different by then if DST changes during the day
+    const offsetThen = timezoneOffset(timeZone, deliveryTime);
+    if (offsetThen !== timezoneOffset(timeZone, shopDayStart)) deliveryTime = shopDayStart + minutesAfterReset(offsetThen) * 60 * 1000;
+
+    return deliveryTime;
+}
+
+let checkingScheduledDailyShops = false;
+
+/**
+ * Post the daily shop of users who chose a delivery time (dailyShopTime),
+ * once that time has come in their timezone. Shops already fetched during
+ * the alert check come from the shop cache.
+ */
+export const checkScheduledDailyShops = async () => {
+    const client = getClient();
+    if (client?.shard && (client.shard.ids?.[0] ?? 0) !== 0) return;
+
+    // a run can take a while if a lot of people chose the same time
+    if (checkingScheduledDailyShops) return;
+    checkingScheduledDailyShops = true;
+
+    try {
+        const now = Date.now();
+        const today = shopDay(now);
+        const shopDayStart = Date.parse(today);
+
+        let shouldWait = false;
+        for (const id of getUserIdsWithScheduledDailyShop(today)) {
+            try {
+                const channelId = getSetting(id, "dailyShop");
+                const hour = getSetting(id, "dailyShopTime");
+                if (!channelId || typeof hour !== "number") continue;
+                if (getSetting(id, "deliveryMode") === "digest") continue; // it's in their digest
+                if (dailyShopDeliveryTime(shopDayStart, hour, getSetting(id, "timezone")) > now) continue;
+
+                const userJson = readUserJson(id);
+                if (!userJson) continue;
+                const valorantUser = getUser(id, userJson.currentAccount);
+                if (!valorantUser) continue;
+
+                if (shouldWait) await wait(config.delayBetweenAlerts); // to prevent being ratelimited
+                const offers = await getOffers(id, userJson.currentAccount);
+                shouldWait = !offers.cached;
+
+                // maintenance, auth failure... try again next time
+                if (!offers.success || !offers.offers) continue;
+
+                await sendDailyShop(id, offers, channelId, valorantUser);
+                setDailyShopDelivered(id, today);
+            } catch (e) {
+                console.error("There was an error while trying to send the scheduled daily shop for user " + discordTag(id));
+                console.error(e);
+            }
+        }
+    } finally {
+        checkingScheduledDailyShops = false;
     }
 }
 
-export const sendAlert = async (id, account, alerts, expires, tryOnOtherShard = true, alertsLength = alerts?.length || 0) => {
+const SHARDS_UNREACHABLE = "Could not reach the shard with the channel";
+
+// discord errors meaning the bot can't send messages there, no point retrying
+const PERMANENT_SEND_ERRORS = [
+    10003, // unknown channel
+    50001, // missing access
+    50007, // cannot send messages to this user
+    50013  // missing permissions
+];
+
+/**
+ * Save a delivery that failed for a reason that might go away (discord
+ * having issues, a shard restarting...) so that retryOutbox() tries again
+ * later. If it already came from the outbox, it just stays there.
+ */
+const queueFailedDelivery = (outboxId, type, id, channelId, payload, error) => {
+    if (outboxId) return setOutboxError(outboxId, error);
+
+    console.log(`Queueing the ${type} for user ${id} in channel ${channelId} to try again later`);
+    addToOutbox({ userId: id, type, channelId, payload, error, nextAttemptAt: Date.now() + config.outboxRetryDelay });
+}
+
+// the delivery went through or never will, either way don't retry it
+const deliveryDone = (outboxId) => {
+    if (outboxId) removeFromOutbox(outboxId);
+}
+
+const handleSendResult = async (sent, error, outboxId, type, id, channel, payload) => {
+    if (sent) return deliveryDone(outboxId);
+
+    if (!PERMANENT_SEND_ERRORS.includes(error?.code)) return queueFailedDelivery(outboxId, type, id, channel.id, payload, error?.message || String(error));
+
+    deliveryDone(outboxId);
+    if (channel.guild) await notifyChannelInaccessible(id, channel.id, type === "dailyShop" ? 'dailyShop' : 'alert');
+}
+
+// when the payload was only worth sending until the shop it's about reset
+const deliveryExpiry = (entry) => {
+    const { payload } = entry;
+    switch (entry.type) {
+        case "alert": return payload.expires;
+        case "storeAlert": return Math.max(...(payload.matches || []).map(match => match.expires || 0));
+        case "dailyShop": return payload.shop?.expires;
+        case "digest": return payload.expires;
+    }
+}
+
+const retryDelivery = async (entry) => {
+    const { payload } = entry;
+    switch (entry.type) {
+        case "alert": return await sendAlert(payload.id, payload.account, payload.alerts, payload.expires, true, payload.alertsLength, entry.id);
+        case "storeAlert": return await sendStoreAlert(payload.id, payload.account, payload.store, payload.matches, true, entry.id);
+        case "dailyShop": {
+            const account = readUserJson(payload.id)?.accounts.findIndex(account => account.puuid === payload.puuid);
+            const valorantUser = account >= 0 && getUser(payload.id, account + 1);
+            if (!valorantUser) return deliveryDone(entry.id);
+            return await sendDailyShop(payload.id, payload.shop, payload.channelId, valorantUser, true, entry.id);
+        }
+        case "digest": return await sendDigest(payload.id, payload.channelId, true, entry.id);
+        default: return deliveryDone(entry.id);
+    }
+}
+
+let retryingOutbox = false;
+
+/**
+ * Retry the deliveries in the outbox that are due, waiting twice as long
+ * after each failed attempt. After outboxMaxAttempts, or once the shop
+ * they're about has reset, give up and tell the user.
+ */
+export const retryOutbox = async () => {
+    const client = getClient();
+    if (client?.shard && (client.shard.ids?.[0] ?? 0) !== 0) return;
+
+    if (retryingOutbox) return;
+    retryingOutbox = true;
+
+    try {
+        const now = Date.now();
+        for (const entry of getDueOutbox(now)) {
+            try {
+                const expires = deliveryExpiry(entry);
+                if (entry.attempts >= config.outboxMaxAttempts || (expires && expires * 1000 < now)) {
+                    console.error(`Giving up on the ${entry.type} for user ${entry.userId} in channel ${entry.channelId} after ${entry.attempts} retries: ${entry.lastError}`);
+                    deliveryDone(entry.id);
+                    await notifyDeliveryAbandoned(entry);
+                    continue;
+                }
+
+                // reschedule first, so that it stays queued if this attempt fails
+                rescheduleOutbox(entry.id, entry.attempts + 1, now + config.outboxRetryDelay * 2 ** (entry.attempts + 1));
+                await retryDelivery(entry);
+            } catch (e) {
+                console.error(`There was an error while retrying outbox entry #${entry.id}:`);
+                console.error(e);
+            }
+        }
+    } finally {
+        retryingOutbox = false;
+    }
+}
+
+const notifyDeliveryAbandoned = async (entry) => {
+    const user = await getClient()?.users.fetch(entry.userId).catch(() => null);
+    if (!user) return;
+
+    const key = entry.type === "dailyShop" ? "DELIVERY_ABANDONED_DAILY_SHOP" : "DELIVERY_ABANDONED_ALERT";
+    await user.send({
+        embeds: [{
+            description: s(entry.userId).error[key].f({ c: entry.channelId, n: entry.attempts + 1 }),
+            color: 0xFFA500, // Orange color for warnings
+            timestamp: new Date().toISOString()
+        }]
+    }).catch(e => console.error(`Could not tell user ${entry.userId} that their ${entry.type} couldn't be delivered:`, e.message));
+}
+
+export const sendAlert = async (id, account, alerts, expires, tryOnOtherShard = true, alertsLength = alerts?.length || 0, outboxId = null) => {
     const user = getClient()?.users.cache.get(id);
     const username = user ? user.username : id;
 
@@ -368,11 +984,16 @@ export const sendAlert = async (id, account, alerts, expires, tryOnOtherShard =
                 const delivered = await sendShardMessageForChannel({
                     type: "alert",
                     alerts: alertsArray,
-                    id, account, expires, alertsLength
+                    id, account, expires, alertsLength, outboxId
                 }, channel_id);
-                if (!delivered) {
+                if (delivered === null) {
+                    recordAlertHistory(id, account, "daily", alertsArray.map(alert => ({ alert })), channel_id, "failed");
+                    queueFailedDelivery(outboxId, "alert", id, channel_id, { id, account, alerts: alertsArray, expires, alertsLength }, SHARDS_UNREACHABLE);
+                } else if (!delivered) {
                     // No shard has this channel - it's truly inaccessible
                     console.error(`Cannot access alert channel ${channel_id} for user ${username} on any shard, attempting to migrate to DM...`);
+                    recordAlertHistory(id, account, "daily", alertsArray.map(alert => ({ alert })), channel_id, "inaccessible");
+                    deliveryDone(outboxId);
                     await notifyChannelInaccessible(id, channel_id, 'alert');
                 }
             }
@@ -427,19 +1048,178 @@ export const sendAlert = async (id, account, alerts, expires, tryOnOtherShard =
             }
         }
 
-        if (message.embeds.length === 0) continue;
+        if (message.embeds.length === 0) {
+            deliveryDone(outboxId);
+            continue;
+        }
 
-        await channel.send(message).catch(async e => {
+        let sendError;
+        const sent = await channel.send(message).catch(async e => {
             console.error(`Could not send alert message in #${channel.name || channel_id}! Do I have the right role?`);
             try {
                 const user = await getClient()?.users.fetch(id).catch(() => null);
                 if (user) console.error(`Please tell ${user.tag} that the skin they want is in their item shop!`);
             } catch { }
             console.error(e);
+            sendError = e;
+            return null;
         });
+        recordAlertHistory(id, account, "daily", alertsArray.map(alert => ({ alert })), channel_id, sent ? "delivered" : "failed");
+        if (sent) removeDeliveredOnceAlerts(id, account, alertsArray);
+        await handleSendResult(sent, sendError, outboxId, "alert", id, channel, { id, account, alerts: alertsArray, expires, alertsLength });
     }
 };
 
+/**
+ * Send the alerts that matched the night market, a featured bundle, the
+ * accessory store or, for rule alerts, the daily shop. Each match carries its
+ * alert and when the offer expires, rule matches also carry the skin uuid.
+ *
+ * @param {string} id Discord user ID
+ * @param {number} account
+ * @param {"daily"|"nightMarket"|"bundle"|"accessory"} store
+ * @param {{alert: Object, expires: number}[]} matches
+ * @param {boolean} [tryOnOtherShard]
+ * @param {number} [outboxId] if this is a retry, the outbox entry it comes from
+ */
+export const sendStoreAlert = async (id, account, store, matches, tryOnOtherShard = true, outboxId = null) => {
+    const user = getClient()?.users.cache.get(id);
+    const username = user ? user.username : id;
+
+    if (!matches || !matches.length) return;
+
+    const valorantUser = getUser(id, account);
+    if (!valorantUser) return;
+
+    const matchesPerChannel = {};
+    for (const match of matches) {
+        const channel_id = match.alert.channel_id;
+        if (!matchesPerChannel[channel_id]) matchesPerChannel[channel_id] = [match];
+        else matchesPerChannel[channel_id].push(match);
+    }
+
+    for (const channel_id of Object.keys(matchesPerChannel)) {
+        const channelMatches = matchesPerChannel[channel_id];
+
+        const channel = await fetchChannel(channel_id);
+        if (!channel) {
+            if (tryOnOtherShard) {
+                const delivered = await sendShardMessageForChannel({
+                    type: "storeAlert",
+                    matches: channelMatches,
+                    id, account, store, outboxId
+                }, channel_id);
+                if (delivered === null) {
+                    recordAlertHistory(id, account, store, channelMatches, channel_id, "failed");
+                    queueFailedDelivery(outboxId, "storeAlert", id, channel_id, { id, account, store, matches: channelMatches }, SHARDS_UNREACHABLE);
+                } else if (!delivered) {
+                    console.error(`Cannot access alert channel ${channel_id} for user ${username} on any shard, attempting to migrate to DM...`);
+                    recordAlertHistory(id, account, store, channelMatches, channel_id, "inaccessible");
+                    deliveryDone(outboxId);
+                    await notifyChannelInaccessible(id, channel_id, 'alert');
+                }
+            }
+            continue;
+        }
+
+        console.log(`Sending ${store} alert for user ${username}...`);
+
+        const message = {
+            content: `<@${id}>`,
+            embeds: [],
+            components: []
+        };
+        const buttons = [];
+        const buttonAlerts = new Set(); // a rule can match several skins, but only needs one button
+
+        for (const match of channelMatches) {
+            const item = match.skin ? await getSkin(match.skin) : await getAlertItem(match.alert);
+            if (!item) continue;
+
+            console.log(`User ${valorantUser.username} has the ${match.alert.type || "skin"} ${l(item.names)} in their ${store} store!`);
+            message.embeds.push(await storeAlertEmbed(store, match, item, id, valorantUser, channel));
+
+            if (buttonAlerts.has(match.alert.uuid)) continue;
+            buttonAlerts.add(match.alert.uuid);
+
+            let buttonText = s(valorantUser).info.REMOVE_ALERT_BUTTON;
+            if (channelMatches.length > 1) {
+                buttonText = match.alert.type === "rule" ? await alertNameAndEmoji(match.alert, null, channel, valorantUser) : l(item.names, id);
+                if (buttonText.length > 80) buttonText = buttonText.slice(0, 76) + " ...";
+            }
+            buttons.push(removeAlertButton(id, match.alert.uuid, buttonText));
+        }
+
+        if (message.embeds.length === 0) {
+            deliveryDone(outboxId);
+            continue;
+        }
+
+        if (message.embeds.length > 10) message.embeds = message.embeds.slice(0, 10);
+        for (let i = 0; i < buttons.length && message.components.length < 5; i += 5) {
+            message.components.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+        }
+
+        let sendError;
+        const sent = await channel.send(message).catch(e => {
+            console.error(`Could not send ${store} alert message in #${channel.name || channel_id}! Do I have the right role?`);
+            console.error(e);
+            sendError = e;
+            return null;
+        });
+        recordAlertHistory(id, account, store, channelMatches, channel_id, sent ? "delivered" : "failed");
+        if (sent) removeDeliveredOnceAlerts(id, account, channelMatches.map(match => match.alert));
+        await handleSendResult(sent, sendError, outboxId, "storeAlert", id, channel, { id, account, store, matches: channelMatches });
+    }
+};
+
+const storeAlertEmbed = async (store, match, item, id, valorantUser, channel) => {
+    const name = match.skin ? await skinNameAndEmoji(item, channel, valorantUser) : await alertNameAndEmoji(match.alert, item, channel, valorantUser);
+    const embed = {
+        color: VAL_COLOR_1,
+        thumbnail: {
+            url: item.icon || item.icons?.large
+        }
+    };
+
+    if (store === "daily") {
+        embed.description = s(valorantUser).info.RULE_ALERT_HAPPENED.f({
+            i: id,
+            u: valorantUser.username,
+            s: name,
+            r: await ruleDescription(match.alert.rule, valorantUser),
+            t: match.expires
+        }, id);
+    } else if (store === "nightMarket") {
+        embed.description = s(valorantUser).info.NM_ALERT_HAPPENED.f({
+            i: id,
+            u: valorantUser.username,
+            s: name,
+            e: await VPEmoji(id, channel),
+            p: match.offer.nmPrice,
+            r: match.offer.realPrice,
+            d: match.offer.percent,
+            t: match.expires
+        }, id);
+    } else if (store === "bundle") {
+        const bundle = await getBundle(match.bundle.uuid);
+        const bundleName = bundle ? l(bundle.names, valorantUser) : match.bundle.uuid;
+        if (match.alert.type === "bundle") embed.description = s(valorantUser).info.BUNDLE_ALERT_HAPPENED.f({ i: id, u: valorantUser.username, b: bundleName, t: match.expires }, id);
+        else embed.description = s(valorantUser).info.BUNDLE_SKIN_ALERT_HAPPENED.f({ i: id, u: valorantUser.username, s: name, b: bundleName, t: match.expires }, id);
+    } else {
+        embed.description = s(valorantUser).info.ACCESSORY_ALERT_HAPPENED.f({
+            i: id,
+            u: valorantUser.username,
+            s: name,
+            e: await KCEmoji(id, channel) || s(valorantUser).info.KCREDIT,
+            p: match.offer.cost,
+            t: match.expires
+        }, id);
+    }
+
+    return embed;
+}
+
 export const sendCredentialsExpired = async (id, alert, tryOnOtherShard = true) => {
     const channel = await fetchChannel(alert.channel_id);
     if (!channel) {
@@ -484,15 +1264,18 @@ export const sendCredentialsExpired = async (id, alert, tryOnOtherShard = true)
     });
 }
 
-export const sendDailyShop = async (id, shop, channelId, valorantUser, tryOnOtherShard = true) => {
+export const sendDailyShop = async (id, shop, channelId, valorantUser, tryOnOtherShard = true, outboxId = null) => {
     const channel = await fetchChannel(channelId);
     if (!channel) {
         if (tryOnOtherShard) {
             const delivered = await sendShardMessageForChannel({
                 type: "dailyShop",
-                id, shop, channelId, valorantUser
+                id, shop, channelId, valorantUser, outboxId
             }, channelId);
-            if (!delivered) {
+            if (delivered === null) {
+                queueFailedDelivery(outboxId, "dailyShop", id, channelId, { id, shop, channelId, puuid: valorantUser.puuid }, SHARDS_UNREACHABLE);
+            } else if (!delivered) {
+                deliveryDone(outboxId);
                 const user = await getClient()?.users.fetch(id).catch(() => null);
                 if (user) {
                     console.error(`Cannot access daily shop channel ${channelId} for user ${user.tag} on any shard, attempting to notify via DM...`);
@@ -509,11 +1292,168 @@ export const sendDailyShop = async (id, shop, channelId, valorantUser, tryOnOthe
     const content = shouldPing ? `<@${id}>` : null;
 
     const rendered = await renderOffers(shop, id, valorantUser, await VPEmoji(id, channel));
-    await channel.send({
+    let sendError;
+    const sent = await channel.send({
         content,
         ...rendered
     }).catch(e => {
         console.error(`Could not send daily shop in #${channel.name || channelId}:`, e);
+        sendError = e;
+        return null;
+    });
+    await handleSendResult(sent, sendError, outboxId, "dailyShop", id, channel, { id, shop, channelId, puuid: valorantUser.puuid });
+}
+
+const recordDigestHistory = (id, digest, channelId, status) => {
+    for (const [account, page] of Object.entries(digest.accounts)) {
+        for (const store of new Set(page.matches.map(match => match.store))) {
+            recordAlertHistory(id, parseInt(account), store, page.matches.filter(match => match.store === store), channelId, status);
+        }
+    }
+}
+
+/**
+ * Send the last digest saved for the user (see processUserAlerts()).
+ */
+export const sendDigest = async (id, channelId, tryOnOtherShard = true, outboxId = null) => {
+    const digest = getDigest(id);
+    if (!digest) return deliveryDone(outboxId);
+
+    const channel = await fetchChannel(channelId);
+    if (!channel) {
+        if (tryOnOtherShard) {
+            const delivered = await sendShardMessageForChannel({
+                type: "digest",
+                id, channelId, outboxId
+            }, channelId);
+            if (delivered === null) {
+                recordDigestHistory(id, digest, channelId, "failed");
+                queueFailedDelivery(outboxId, "digest", id, channelId, { id, channelId, expires: digest.expires }, SHARDS_UNREACHABLE);
+            } else if (!delivered) {
+                console.error(`Cannot access digest channel ${channelId} for user ${discordTag(id)} on any shard, attempting to notify via DM...`);
+                recordDigestHistory(id, digest, channelId, "inaccessible");
+                deliveryDone(outboxId);
+                await notifyChannelInaccessible(id, channelId, getSetting(id, "dailyShop") === channelId ? 'dailyShop' : 'alert');
+            }
+        }
+        return;
+    }
+
+    const pages = Object.values(digest.accounts);
+    const hasAlerts = pages.some(page => page.matches.length);
+    const content = hasAlerts || getSetting(id, "pingOnAutoDailyShop") ? `<@${id}>` : null;
+
+    console.log(`Sending digest for user ${discordTag(id)}...`);
+
+    const rendered = await renderDigest(id, id, digest, channel);
+    let sendError;
+    const sent = await channel.send({
+        content,
+        ...rendered
+    }).catch(e => {
+        console.error(`Could not send digest in #${channel.name || channelId}:`, e);
+        sendError = e;
+        return null;
+    });
+
+    recordDigestHistory(id, digest, channelId, sent ? "delivered" : "failed");
+    if (sent) for (const [account, page] of Object.entries(digest.accounts)) {
+        removeDeliveredOnceAlerts(id, parseInt(account), page.matches.map(match => match.alert));
+    }
+    await handleSendResult(sent, sendError, outboxId, "digest", id, channel, { id, channelId, expires: digest.expires });
+}
+
+/**
+ * Find which skins of each guild's watch list are in a shop.
+ *
+ * @param {{guildId: string, channelId: string, skins: string[]}[]} watches
+ * @param {string[]} offers skin uuids in the shop
+ * @returns {{watch: Object, skins: string[]}[]}
+ */
+export const guildWatchMatches = (watches, offers) => {
+    return watches
+        .map(watch => ({ watch, skins: watch.skins.filter(uuid => offers.includes(uuid)) }))
+        .filter(match => match.skins.length);
+}
+
+// announce a member's shop in the watch channel of every server watching one of its skins
+const sendGuildWatchAlerts = async (id, valorantUser, offers) => {
+    for (const { watch, skins } of guildWatchMatches(getAllGuildWatches(), offers.offers)) {
+        await sendGuildWatchAlert(id, valorantUser.username, watch, skins, offers.expires);
+    }
+}
+
+const sendGuildWatchAlert = async (id, username, watch, skins, expires, tryOnOtherShard = true) => {
+    const channel = await fetchChannel(watch.channelId);
+    if (!channel) {
+        if (tryOnOtherShard) {
+            const delivered = await sendShardMessageForChannel({
+                type: "guildWatch",
+                id, username, watch, skins, expires
+            }, watch.channelId);
+            if (!delivered) console.error(`Cannot access watch channel ${watch.channelId} of guild ${watch.guildId} on any shard!`);
+        }
+        return;
+    }
+
+    // only announce people who are actually in that server
+    if (channel.guild?.id !== watch.guildId) return;
+    const member = await channel.guild.members.fetch(id).catch(() => null);
+    if (!member) return;
+
+    const locale = channel.guild.preferredLocale;
+    const hideIgn = getSetting(id, "hideIgn");
+
+    const embeds = [];
+    for (const uuid of skins.slice(0, 10)) {
+        const skin = await getSkin(uuid);
+        if (!skin) continue;
+
+        const skinName = await skinNameAndEmoji(skin, channel, locale);
+        embeds.push({
+            description: hideIgn ?
+                s(locale).info.GUILD_WATCH_HAPPENED.f({ i: id, s: skinName, t: expires }) :
+                s(locale).info.GUILD_WATCH_HAPPENED_IGN.f({ i: id, u: username, s: skinName, t: expires }),
+            color: VAL_COLOR_1,
+            thumbnail: {
+                url: skin.icon
+            }
+        });
+    }
+    if (!embeds.length) return;
+
+    console.log(`Announcing ${username}'s shop in the watch channel of guild ${channel.guild.name}...`);
+    await channel.send({ embeds }).catch(e => {
+        console.error(`Could not send watch list message in #${channel.name || watch.channelId}! Do I have the right role?`);
+        console.error(e);
+    });
+}
+
+// post what's new in a game update in every server that subscribed with /patch subscribe
+export const announcePatch = async (patch) => {
+    if (!config.announcePatches) return;
+    for (const subscription of getPatchSubscriptions()) {
+        await sendPatchAnnouncement(subscription, patch);
+    }
+}
+
+const sendPatchAnnouncement = async (subscription, patch, tryOnOtherShard = true) => {
+    const channel = await fetchChannel(subscription.channelId);
+    if (!channel) {
+        if (tryOnOtherShard) {
+            const delivered = await sendShardMessageForChannel({
+                type: "patchAnnouncement",
+                subscription, patch
+            }, subscription.channelId);
+            if (!delivered) console.error(`Cannot access patch channel ${subscription.channelId} of guild ${subscription.guildId} on any shard!`);
+        }
+        return;
+    }
+
+    console.log(`Announcing patch ${patch.version} in guild ${channel.guild?.name || subscription.guildId}...`);
+    await channel.send(await patchEmbed(channel.guild?.preferredLocale, patch)).catch(e => {
+        console.error(`Could not send the patch announcement in #${channel.name || subscription.channelId}! Do I have the right role?`);
+        console.error(e);
     });
 }
 
@@ -616,6 +1556,103 @@ export const notifyChannelInaccessible = async (id, channelId, type = 'alert') =
     }
 }
 
+/**
+ * @param {Object[]} alerts
+ * @param {string[]} ownedSkins skin uuids from getSkins()
+ * @returns {Object[]} the skin alerts for skins that are in ownedSkins
+ */
+export const ownedSkinAlerts = (alerts, ownedSkins) => {
+    const owned = new Set(ownedSkins);
+    return alerts.filter(alert => !alert.type && owned.has(alert.uuid));
+}
+
+let pruningOwnedAlerts = false;
+
+/**
+ * Remove the alerts for skins people already bought, and DM them a list of
+ * what was removed. Runs weekly on shard 0, unless the user turned off
+ * the pruneOwnedAlerts setting.
+ */
+export const pruneOwnedAlerts = async () => {
+    const client = getClient();
+    if (client?.shard && (client.shard.ids?.[0] ?? 0) !== 0) return;
+
+    if (pruningOwnedAlerts) return;
+    pruningOwnedAlerts = true;
+
+    console.log("[Shard 0] Removing alerts for skins people already own...");
+
+    try {
+        let shouldWait = false;
+        for (const id of getAlertUserList()) {
+            try {
+                if (!getSetting(id, "pruneOwnedAlerts")) continue;
+
+                const userJson = readUserJson(id);
+                if (!userJson) continue;
+
+                const removed = [];
+                for (let i = 1; i <= userJson.accounts.length; i++) {
+                    const alerts = alertsForUser(id, i);
+                    if (!alerts.some(alert => !alert.type)) continue;
+
+                    const valorantUser = getUser(id, i);
+                    if (!valorantUser?.auth) continue;
+
+                    if (shouldWait) await wait(config.delayBetweenAlerts); // to prevent being ratelimited
+                    shouldWait = true;
+
+                    const owned = await getSkins(valorantUser, i);
+                    if (!owned.success) continue;
+
+                    const ownedAlerts = ownedSkinAlerts(alerts, owned.skins);
+                    if (!ownedAlerts.length) continue;
+
+                    valorantUser.alerts = alerts.filter(alert => !ownedAlerts.includes(alert));
+                    saveUser(valorantUser, i);
+                    invalidateUserCache(id);
+
+                    removed.push({ account: i, username: valorantUser.username, alerts: ownedAlerts });
+                }
+
+                if (removed.length) await notifyOwnedAlertsPruned(id, removed, userJson.accounts.length > 1);
+            } catch (e) {
+                console.error("There was an error while trying to remove owned skin alerts for user " + discordTag(id));
+                console.error(e);
+            }
+        }
+
+        console.log("[Shard 0] Finished removing alerts for owned skins!");
+    } finally {
+        pruningOwnedAlerts = false;
+    }
+}
+
+const notifyOwnedAlertsPruned = async (id, removed, showAccounts) => {
+    const user = await getClient()?.users.fetch(id).catch(() => null);
+    if (!user) return;
+
+    const hideIgn = getSetting(id, "hideIgn");
+    const lines = [];
+    for (const { account, username, alerts } of removed) {
+        const accountText = hideIgn ? s(id).info.SWITCH_ACCOUNT_BUTTON.f({ n: account }) : username;
+        for (const alert of alerts) {
+            const skin = await getSkin(alert.uuid);
+            const name = skin ? await skinNameAndEmoji(skin, null, id) : alert.uuid;
+            lines.push(showAccounts ? `- ${name} (${accountText})` : `- ${name}`);
+        }
+    }
+
+    await user.send({
+        embeds: [{
+            title: s(id).info.OWNED_ALERTS_PRUNED,
+            description: lines.join("\n").slice(0, 4000),
+            color: VAL_COLOR_1,
+            footer: { text: s(id).info.OWNED_ALERTS_PRUNED_FOOTER.f({ s: s(id).settings.pruneOwnedAlerts }) }
+        }]
+    }).catch(e => console.error(`Could not DM user ${id} the alerts removed for owned skins:`, e.message));
+}
+
 export const testAlerts = async (interaction) => {
     try {
         const channel = interaction.channel || await fetchChannel(interaction.channel_id);
@@ -642,6 +1679,149 @@ export const fetchAlerts = async (interaction) => {
     return await alertsPageEmbed(interaction, await filteredAlertsForUser(interaction), 0, emojiString);
 }
 
+export const fetchAlertHistory = async (interaction, pageIndex = 0) => {
+    const entryCount = countAlertHistory(interaction.user.id);
+    const maxPages = Math.max(Math.ceil(entryCount / config.alertsPerPage), 1);
+
+    if (pageIndex < 0) pageIndex = maxPages - 1;
+    if (pageIndex >= maxPages) pageIndex = 0;
+
+    const entries = getAlertHistory(interaction.user.id, config.alertsPerPage, pageIndex * config.alertsPerPage);
+    return await alertHistoryPageEmbed(interaction, entries, pageIndex, maxPages, entryCount);
+}
+
+/* Export format of /alerts export: {
+ *     version: ALERT_EXPORT_VERSION
+ *     exportedAt: ISO date of the export
+ *     alerts: [{
+ *         account: riot name#tag of the account the alert is on, null if unknown
+ *         name: english name of the skin/bundle/accessory, null for rules
+ *         ...the alert itself, see the alert format at the top of this file
+ *     }]
+ * }
+ */
+const ALERT_EXPORT_VERSION = 1;
+
+// notification state (nm_notified...) is specific to this bot, no point exporting it
+const exportedAlertFields = ["uuid", "type", "rule", "channel_id", "min_discount", "once", "expires_at"];
+
+export const exportAlerts = async (id) => {
+    const alerts = [];
+    for (const account of readUserJson(id)?.accounts || []) {
+        for (const alert of removeDupeAlerts(account.alerts || [])) {
+            const item = await getAlertItem(alert);
+            const exported = { account: account.username || null, name: item ? l(item.names) : null };
+            for (const field of exportedAlertFields) if (field in alert) exported[field] = alert[field];
+            alerts.push(exported);
+        }
+    }
+
+    return {
+        version: ALERT_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        alerts
+    };
+}
+
+/**
+ * @param {string} text the contents of an /alerts export file
+ * @returns {Object[]|null} the exported alerts, or null if it isn't an export
+ */
+export const parseAlertExport = (text) => {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        return null;
+    }
+
+    if (!json || typeof json.version !== "number" || json.version > ALERT_EXPORT_VERSION || !Array.isArray(json.alerts)) return null;
+    return json.alerts.filter(alert => alert && typeof alert.uuid === "string");
+}
+
+// what /alert can put in a rule, and which values it can take
+const ruleFields = {
+    weapon: value => typeof value === "string" && Object.hasOwn(WeaponType, value),
+    rarity: value => typeof value === "string" && Object.hasOwn(RarityTier, value),
+    maxPrice: value => Number.isInteger(value) && value > 0,
+    line: value => typeof value === "string" && value.length > 0,
+    bundle: value => typeof value === "string"
+};
+
+const alertOptionFields = {
+    min_discount: value => Number.isInteger(value) && value >= 1 && value <= 100,
+    once: value => typeof value === "boolean",
+    expires_at: value => Number.isInteger(value) && value > 0
+};
+
+// only known fields, and at least something to match skins on (the bundle is just there to name the line)
+const isValidRule = (rule) => {
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) return false;
+
+    const fields = Object.keys(rule);
+    if (!fields.every(field => Object.hasOwn(ruleFields, field) && ruleFields[field](rule[field]))) return false;
+    return fields.some(field => field !== "bundle");
+}
+
+const isImportableAlert = async (alert) => {
+    for (const [field, isValid] of Object.entries(alertOptionFields)) {
+        if (field in alert && !isValid(alert[field])) return false;
+    }
+
+    if (alert.type === "rule") return isValidRule(alert.rule);
+    if ("rule" in alert) return false;
+    if (!alert.type) return !!await getSkin(alert.uuid);
+    if (alert.type !== "bundle" && !Object.values(accessoryAlertTypes).includes(alert.type)) return false;
+    return !!await getAlertItem(alert);
+}
+
+/**
+ * Add exported alerts to the user's accounts, going through addAlert() so
+ * that alerts for the same item replace each other. Alerts in channels the
+ * bot or the user can't send to are moved to the channel /alerts import was
+ * used in, or the user's DMs if the bot can't send there.
+ *
+ * @returns {Promise<{imported: number, retargeted: number, skipped: number}>}
+ */
+export const importAlerts = async (interaction, exportedAlerts) => {
+    const id = interaction.user.id;
+    const userJson = readUserJson(id);
+    const result = { imported: 0, retargeted: 0, skipped: 0 };
+    if (!userJson) return result;
+
+    let fallbackChannelId;
+    for (const exported of exportedAlerts) {
+        const alert = {};
+        for (const field of exportedAlertFields) if (exported[field] !== undefined && exported[field] !== null) alert[field] = exported[field];
+
+        if (!await isImportableAlert(alert) || isAlertExpired(alert)) {
+            result.skipped++;
+            continue;
+        }
+
+        if (typeof alert.channel_id !== "string" || !/^\d+$/.test(alert.channel_id) || !await canAccessChannel(alert.channel_id) || !await userCanUseChannel(alert.channel_id, id)) {
+            if (fallbackChannelId === undefined) {
+                fallbackChannelId = await canAccessChannel(interaction.channelId) ? interaction.channelId :
+                    (await interaction.user.createDM().catch(() => null))?.id || null;
+            }
+            if (!fallbackChannelId) {
+                result.skipped++;
+                continue;
+            }
+
+            alert.channel_id = fallbackChannelId;
+            result.retargeted++;
+        }
+
+        // same account if it's also on this bot, the current account otherwise
+        const accountIndex = userJson.accounts.findIndex(account => account.username && account.username.toLowerCase() === String(exported.account).toLowerCase());
+        addAlert(id, alert, accountIndex === -1 ? userJson.currentAccount : accountIndex + 1);
+        result.imported++;
+    }
+
+    return result;
+}
+
 export const debugCheckAlerts = async () => {
     const debugLog = [];
     const log = (message, level = 'INFO') => {
@@ -751,15 +1931,15 @@ export const debugCheckAlerts = async () => {
                                 unreachableChannels.get(key).users.push(discordUsername);
 
                                 for (const alert of alerts) {
-                                    const skin = await getSkin(alert.uuid);
-                                    unreachableChannels.get(key).skins.push(l(skin.names));
+                                    const item = await getAlertItem(alert);
+                                    unreachableChannels.get(key).skins.push(item ? l(item.names) : alert.uuid);
                                 }
                             } else {
                                 log(`      Alert Channel ${channelId}: ✓ Accessible in guild "${channel.guild?.name || 'DM'}" #${channel.name}`, 'INFO');
                                 reachableChannels.add(channelId);
                                 for (const alert of alerts) {
-                                    const skin = await getSkin(alert.uuid);
-                                    log(`        - ${l(skin.names)} (${alert.uuid})`, 'DEBUG');
+                                    const item = await getAlertItem(alert);
+                                    log(`        - ${item ? l(item.names) : "?"} (${alert.type || "skin"} ${alert.uuid})`, 'DEBUG');
                                 }
                             }
                         }
@@ -849,10 +2029,22 @@ async function diagnoseChannelIssue(channelId, userId) {
 onShardMessage(async (message) => {
     switch (message.type) {
         case "alert":
-            await sendAlert(message.id, message.account, message.alerts, message.expires, false, message.alertsLength);
+            await sendAlert(message.id, message.account, message.alerts, message.expires, false, message.alertsLength, message.outboxId);
+            return true;
+        case "storeAlert":
+            await sendStoreAlert(message.id, message.account, message.store, message.matches, false, message.outboxId);
             return true;
         case "dailyShop":
-            await sendDailyShop(message.id, message.shop, message.channelId, message.valorantUser, false);
+            await sendDailyShop(message.id, message.shop, message.channelId, message.valorantUser, false, message.outboxId);
+            return true;
+        case "digest":
+            await sendDigest(message.id, message.channelId, false, message.outboxId);
+            return true;
+        case "guildWatch":
+            await sendGuildWatchAlert(message.id, message.username, message.watch, message.skins, message.expires, false);
+            return true;
+        case "patchAnnouncement":
+            await sendPatchAnnouncement(message.subscription, message.patch, false);
             return true;
         case "credentialsExpired":
             await sendCredentialsExpired(message.id, message.alert, false);
@@ -12,7 +12,9 @@ import {
     ActivityType,
     ModalBuilder,
     TextInputBuilder,
-    TextInputStyle
+    TextInputStyle,
+    PermissionFlagsBits,
+    AttachmentBuilder
 } from "discord.js";
 import cron from "node-cron";
 
@@ -28,6 +30,10 @@ import {
     alertTestResponse,
     alertsPageEmbed,
     statsForSkinEmbed,
+    personalStatsEmbed,
+    patchEmbed,
+    statsBreakdownEmbed,
+    personalStatsForSkinEmbed,
     allStatsEmbed,
     accountsListEmbed,
     switchAccountButtons,
@@ -53,6 +59,17 @@ import {
     removeAlertButton,
     removeAlertActionRow,
     skinNameAndEmoji,
+    getAlertItem,
+    alertNameAndEmoji,
+    ruleDescription,
+    alertLifetimeDescription,
+    guildWatchEmbed,
+    renderDigest,
+    shopHistoryDayEmbed,
+    shopHistoryItemEmbed,
+    budgetEmbed,
+    shopCompareEmbed,
+    webhooksEmbed,
     isThereANM,
     fetchShop,
     fetchBundles,
@@ -64,28 +81,43 @@ import {
     handleSettingDropdown
 } from "./embed.js";
 import { authUser, getUser, getUserList, getRegion, getUserInfo, generateWebAuthUrl, redeemWebAuthUrl } from "../valorant/auth.js";
-import { getBalance, clearShopMemoryCache } from "../valorant/shop.js";
-import { getSkin, fetchData, searchSkin, searchBundle, getBundle, clearCache, loadSkinsJSON, flushSkinsJSON, areSkinDataLoaded, setCacheClient } from "../valorant/cache.js";
+import { getBalance, getOffers, getNightMarket, clearShopCache } from "../valorant/shop.js";
+import { getSkin, fetchData, searchSkin, searchBundle, searchAccessory, extractBundleCode, getBundle, clearCache, loadSkinsJSON, flushSkinsJSON, areSkinDataLoaded, setCacheClient, getPatch, onNewGameVersion } from "../valorant/cache.js";
 import {
     addAlert,
     alertExists,
+    alertsForUser,
     canAccessChannel,
     checkAlerts,
+    checkScheduledDailyShops,
+    resumeAlertCheck,
+    pruneOwnedAlerts,
+    retryOutbox,
+    announcePatch,
     debugCheckAlerts,
     fetchAlerts,
+    fetchAlertHistory,
+    exportAlerts,
+    importAlerts,
+    parseAlertExport,
     filteredAlertsForUser,
     removeAlert,
     testAlerts,
-    setAlertsClient
+    setAlertsClient,
+    accessoryAlertTypes,
+    parseAlertExpiry
 } from "./alerts.js";
 import { RadEmoji, VPEmoji, KCEmoji, warmEmojiCache, setEmojiClient } from "./emoji.js";
-import { getOverallStats, getStatsFor, flushStats, setStatsClient } from "../misc/stats.js";
+import { getOverallStats, getStatsFor, getPersonalStats, getPersonalStatsFor, getPersonalOverallStats } from "../misc/stats.js";
 import {
     WeaponTypeUuid,
     WeaponType,
+    RarityTierUuid,
     fetch,
     fetchRiotVersionData,
-    fetchMaintenances
+    fetchMaintenances,
+    isValidTimezone,
+    isValidShopDay
 } from "../misc/util.js";
 import config, { loadConfig, saveConfig } from "../misc/config.js";
 import { localError, localLog, sendConsoleOutput, setLoggerClient } from "../misc/logger.js";
@@ -101,8 +133,10 @@ import {
 import { areAllShardsReady, sendShardMessage, setShardClient, onShardMessage } from "../misc/shardMessage.js";
 import {
     getSetting,
-    registerInteractionLocale, settingIsVisible, settingName, settings
+    registerInteractionLocale, settingIsVisible, settingName, settings, setSetting, humanifyValue
 } from "../misc/settings.js";
+import { getGuildWatch, saveGuildWatch, deleteGuildWatch, getDeliveryTargets, addDeliveryTarget, removeDeliveryTarget, getDigest, getShopHistoryDay, getShopHistoryDays, getItemShopHistory, setPatchSubscription, deletePatchSubscription } from "../misc/userDatabase.js";
+import { isDiscordWebhook, sendTestWebhook, webhookUrlError } from "./webhooks.js";
 import fuzzysort from "fuzzysort";
 import { getSkins, getLoadout } from "../valorant/inventory.js";
 import { getAccountInfo, fetchMatchHistory } from "../valorant/profile.js";
@@ -226,8 +260,8 @@ export const client = new Client({
 
 setLoggerClient(client);
 setShardClient(client);
-setStatsClient(client);
 setCacheClient(client);
+onNewGameVersion(announcePatch);
 setEmojiClient(client);
 setAlertsClient(client);
 setEmbedClient(client);
@@ -314,7 +348,12 @@ client.on("clientReady", async () => {
     if (client.shard.ids[0] === 0) {
         // Shard 0: fetch fresh skin/item data from valorant-api.com if needed,
         // save to skins.json, and broadcast skinsReload to all other shards.
-        fetchData().then(() => console.log("Skins loaded!"));
+        fetchData().then(() => {
+            console.log("Skins loaded!");
+
+            // finish the alert check if the bot restarted in the middle of it
+            resumeAlertCheck().catch(e => console.error("Could not resume the alert check:", e));
+        });
     } else {
         // Non-zero shards: read from skins.json written by shard 0.
         // If the file isn't ready yet (shard 0 still fetching), we'll receive
@@ -371,6 +410,15 @@ export const scheduleTasks = () => {
     // check alerts every day at 00:00:10 GMT (only on shard 0, dispatches cross-shard messages when needed)
     if (config.refreshSkins && client.shard.ids[0] === 0) cronTasks.push(cron.schedule(config.refreshSkins, checkAlerts, { timezone: "GMT" }));
 
+    // post the daily shop of users who chose a delivery time (only on shard 0)
+    if (config.scheduledDailyShops && client.shard.ids[0] === 0) cronTasks.push(cron.schedule(config.scheduledDailyShops, checkScheduledDailyShops, { timezone: "GMT" }));
+
+    // remove alerts for skins people already bought, every monday at 12:00 GMT (only on shard 0)
+    if (config.checkOwnedAlerts && client.shard.ids[0] === 0) cronTasks.push(cron.schedule(config.checkOwnedAlerts, pruneOwnedAlerts, { timezone: "GMT" }));
+
+    // retry the alerts and daily shops that couldn't be sent, every minute (only on shard 0)
+    if (config.retryFailedDeliveries && client.shard.ids[0] === 0) cronTasks.push(cron.schedule(config.retryFailedDeliveries, retryOutbox));
+
     // check for new valorant version every 15mins (only on shard 0, then broadcasts to others)
     if (config.checkGameVersion && client.shard.ids[0] === 0) {
         cronTasks.push(cron.schedule(config.checkGameVersion, () => fetchData(null, true)));
@@ -405,13 +453,15 @@ export const destroyTasks = () => {
         task.stop();
     cronTasks.length = 0;
     // Flush any pending debounced writes to disk
-    flushStats();
     flushSkinsJSON();
 }
 
+const GUILD_WATCH_MAX_SKINS = 50;
+const ALERT_IMPORT_MAX_SIZE = 1024 * 1024;
+
 const settingsChoices = [];
 setTimeout(() => {
-    for (const setting of Object.keys(settings).filter(settingIsVisible)) {
+    for (const setting of Object.keys(settings).filter(setting => settingIsVisible(setting) && settings[setting].values)) {
         settingsChoices.push({
             name: settingName(setting),
             value: setting
@@ -424,10 +474,53 @@ const commands = [
         name: "shop",
         description: "Show your current daily shop!",
         options: [{
-            type: ApplicationCommandOptionType.User,
-            name: "user",
-            description: "Optional: see the daily shop of someone else!",
-            required: false
+            name: "view",
+            description: "Show your current daily shop!",
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                type: ApplicationCommandOptionType.User,
+                name: "user",
+                description: "Optional: see the daily shop of someone else!",
+                required: false
+            }]
+        }, {
+            name: "history",
+            description: "See what was in your shop on a past day, or every day a skin was in it",
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                type: ApplicationCommandOptionType.String,
+                name: "date",
+                description: "The day to show, like 2024-03-15 (default: the last day I saw your shop)",
+                required: false
+            }, {
+                type: ApplicationCommandOptionType.String,
+                name: "skin",
+                description: "List every day this skin was in your shop instead",
+                required: false,
+                autocomplete: true
+            }]
+        }, {
+            name: "compare",
+            description: "Compare your shop with someone else's, or between your accounts",
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                type: ApplicationCommandOptionType.User,
+                name: "user",
+                description: "Someone to compare your shop with",
+                required: false
+            }, {
+                type: ApplicationCommandOptionType.String,
+                name: "with_account",
+                description: "Or one of your other accounts to compare with",
+                required: false,
+                autocomplete: true
+            }, {
+                type: ApplicationCommandOptionType.String,
+                name: "account",
+                description: "Which of your accounts to compare (default: your current one)",
+                required: false,
+                autocomplete: true
+            }]
         }]
     },
     {
@@ -453,25 +546,192 @@ const commands = [
         name: "balance",
         description: "Show how many VALORANT Points & Radianite you have in your account!"
     },
+    {
+        name: "budget",
+        description: "See what you can afford in your shop, Night Market and alerts with your balance"
+    },
     {
         name: "alert",
-        description: "Set an alert for when a particular skin is in your shop.",
+        description: "Set an alert for when a particular skin, bundle or accessory is in your shop.",
         options: [{
             type: ApplicationCommandOptionType.String,
             name: "skin",
             description: "The name of the skin you want to set an alert for",
-            required: true,
+            required: false,
             autocomplete: true
+        }, {
+            type: ApplicationCommandOptionType.String,
+            name: "bundle",
+            description: "The name of the bundle you want to be notified about when it's featured",
+            required: false,
+            autocomplete: true
+        }, {
+            type: ApplicationCommandOptionType.String,
+            name: "accessory",
+            description: "The name of the buddy, card, spray, title or flex you want from the accessory store",
+            required: false,
+            autocomplete: true
+        }, {
+            type: ApplicationCommandOptionType.String,
+            name: "weapon",
+            description: "Get notified for any skin for this weapon (can be combined with rarity, maxprice and line)",
+            required: false,
+            choices: Object.entries(WeaponTypeUuid).filter(([name]) => name !== "Melee").map(([name, uuid]) => ({ name, value: uuid }))
+        }, {
+            type: ApplicationCommandOptionType.String,
+            name: "rarity",
+            description: "Get notified for any skin of this rarity tier",
+            required: false,
+            choices: Object.entries(RarityTierUuid).map(([name, uuid]) => ({ name, value: uuid }))
+        }, {
+            type: ApplicationCommandOptionType.Integer,
+            name: "maxprice",
+            description: "Get notified for any skin up to this price in VP",
+            required: false,
+            minValue: 1
+        }, {
+            type: ApplicationCommandOptionType.String,
+            name: "line",
+            description: "Get notified for any skin from the same skin line as this bundle",
+            required: false,
+            autocomplete: true
+        }, {
+            type: ApplicationCommandOptionType.Integer,
+            name: "mindiscount",
+            description: "Only notify when the skin is in your Night Market with at least this discount (%)",
+            required: false,
+            minValue: 1,
+            maxValue: 100
+        }, {
+            type: ApplicationCommandOptionType.Boolean,
+            name: "once",
+            description: "Remove the alert after it notified you once",
+            required: false
+        }, {
+            type: ApplicationCommandOptionType.String,
+            name: "expires",
+            description: "When the alert should stop, as a date (YYYY-MM-DD) or a number of days (e.g. 7d)",
+            required: false
         }]
     },
     {
         name: "alerts",
-        description: "Show all your active alerts!"
+        description: "Show all your active alerts!",
+        options: [{
+            name: "list",
+            description: "Show all your active alerts!",
+            type: ApplicationCommandOptionType.Subcommand
+        }, {
+            name: "history",
+            description: "See which of your alerts went off, and if the notification got through",
+            type: ApplicationCommandOptionType.Subcommand
+        }, {
+            name: "export",
+            description: "Download all your alerts as a file, to back them up or move them to another bot",
+            type: ApplicationCommandOptionType.Subcommand
+        }, {
+            name: "import",
+            description: "Add the alerts from a file made with /alerts export",
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                type: ApplicationCommandOptionType.Attachment,
+                name: "file",
+                description: "The .json file from /alerts export",
+                required: true
+            }]
+        }]
     },
     {
         name: "testalerts",
         description: "Make sure alerts are working for your account and in this channel"
     },
+    {
+        name: "webhook",
+        description: "Also send your alerts and daily shop to a Discord webhook or your own HTTP endpoint",
+        options: [{
+            name: "add",
+            description: "Add a Discord webhook or an HTTP endpoint accepting JSON",
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                type: ApplicationCommandOptionType.String,
+                name: "url",
+                description: "The Discord webhook URL, or the URL to POST JSON to",
+                required: true
+            }, {
+                type: ApplicationCommandOptionType.String,
+                name: "events",
+                description: "What to send to it (default: both)",
+                required: false,
+                choices: [
+                    { name: "Alerts", value: "alerts" },
+                    { name: "Daily shop", value: "dailyShop" },
+                    { name: "Both", value: "all" }
+                ]
+            }]
+        }, {
+            name: "list",
+            description: "See your webhooks and whether they're working",
+            type: ApplicationCommandOptionType.Subcommand
+        }, {
+            name: "remove",
+            description: "Remove one of your webhooks",
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                type: ApplicationCommandOptionType.Integer,
+                name: "id",
+                description: "The number of the webhook, from /webhook list",
+                required: true
+            }]
+        }, {
+            name: "test",
+            description: "Send a test message to one of your webhooks",
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                type: ApplicationCommandOptionType.Integer,
+                name: "id",
+                description: "The number of the webhook, from /webhook list",
+                required: true
+            }]
+        }]
+    },
+    {
+        name: "watchlist",
+        description: "Announce in this channel when members have one of the server's watched skins in their shop",
+        default_member_permissions: PermissionFlagsBits.ManageGuild.toString(),
+        integration_types: [0],
+        contexts: [0],
+        options: [{
+            name: "add",
+            description: "Add a skin to the watch list, and announce it in this channel",
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                type: ApplicationCommandOptionType.String,
+                name: "skin",
+                description: "The name of the skin to watch for",
+                required: true,
+                autocomplete: true
+            }]
+        }, {
+            name: "remove",
+            description: "Remove a skin from the watch list",
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                type: ApplicationCommandOptionType.String,
+                name: "skin",
+                description: "The name of the skin to stop watching",
+                required: true,
+                autocomplete: true
+            }]
+        }, {
+            name: "view",
+            description: "See which skins this server is watching",
+            type: ApplicationCommandOptionType.Subcommand
+        }, {
+            name: "clear",
+            description: "Remove every skin from the watch list and stop announcing",
+            type: ApplicationCommandOptionType.Subcommand
+        }]
+    },
     {
         name: "login",
         description: "Log in to your Riot account via browser."
@@ -499,6 +759,18 @@ const commands = [
                 required: true,
                 choices: settingsChoices
             }]
+        },
+        {
+            name: "timezone",
+            description: "Set your timezone, used for the time your daily shop is posted",
+            type: ApplicationCommandOptionType.Subcommand,
+            options: [{
+                name: "timezone",
+                description: "Your timezone, e.g. Europe/Paris",
+                type: ApplicationCommandOptionType.String,
+                required: true,
+                autocomplete: true
+            }]
         }
         ]
     },
@@ -569,6 +841,46 @@ const commands = [
             description: "The name of the skin you want to see the stats of",
             required: false,
             autocomplete: true
+        }, {
+            type: ApplicationCommandOptionType.Boolean,
+            name: "mine",
+            description: "Only count the shops of your current account",
+            required: false
+        }, {
+            type: ApplicationCommandOptionType.String,
+            name: "sort",
+            description: "How to sort the skins",
+            required: false,
+            choices: [
+                { name: "Most seen", value: "count" },
+                { name: "Longest absent", value: "absent" }
+            ]
+        }, {
+            type: ApplicationCommandOptionType.String,
+            name: "breakdown",
+            description: "Group the skins by weapon or rarity instead",
+            required: false,
+            choices: [
+                { name: "Weapon", value: "weapon" },
+                { name: "Rarity", value: "rarity" }
+            ]
+        }]
+    },
+    {
+        name: "patch",
+        description: "See what's new in the store since the last game update",
+        options: [{
+            name: "view",
+            description: "See what's new in the store since the last game update",
+            type: ApplicationCommandOptionType.Subcommand
+        }, {
+            name: "subscribe",
+            description: "Post what's new in this channel after each game update",
+            type: ApplicationCommandOptionType.Subcommand
+        }, {
+            name: "unsubscribe",
+            description: "Stop posting game updates in this server",
+            type: ApplicationCommandOptionType.Subcommand
         }]
     },
     {
@@ -625,7 +937,7 @@ const commands = [
 ];
 
 // Commands with integration_types and contexts for global deployment (guild + user installs)
-const globalCommands = commands.map(cmd => ({ ...cmd, integration_types: [0, 1], contexts: [0, 1, 2] }));
+const globalCommands = commands.map(cmd => ({ integration_types: [0, 1], contexts: [0, 1, 2], ...cmd }));
 
 export const stopBot = async (replyFn) => {
     localLog("Stopping the bot...");
@@ -758,15 +1070,15 @@ client.on("messageCreate", async (message) => {
                 }, null, 2) + "```";
                 await message.reply(s);
             } else if (splits[1] === "clearcache") {
-                await clearShopMemoryCache();
+                await clearShopCache();
 
                 // delete skins.json and reset skin cache
-                await message.channel.send("Clearing shop cache (memory + Redis), deleting skins.json and resetting skin cache...");
+                await message.channel.send("Clearing the shop cache of every shard, deleting skins.json and resetting skin cache...");
                 fs.rmSync("data/skins.json");
                 clearCache();
                 await fetchData();
 
-                await message.reply("Successfully cleared shop cache (memory + Redis) and skin cache!");
+                await message.reply("Successfully cleared shop cache and skin cache!");
             } else {
                 const target = splits[1];
                 const value = splits.slice(2).join(' ');
@@ -949,6 +1261,106 @@ client.on("interactionCreate", async (interaction) => {
             console.log(`${interaction.user.tag} used /${interaction.commandName}`);
             switch (interaction.commandName) {
                 case "shop": {
+                    if (interaction.options.getSubcommand(false) === "history") {
+                        if (!valorantUser) return await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).error.NOT_REGISTERED)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        const skinQuery = interaction.options.getString("skin");
+                        if (skinQuery) {
+                            const skin = (await searchSkin(skinQuery, interaction.locale, 1))[0]?.obj;
+                            if (!skin) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error.SKIN_NOT_FOUND)],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            await defer(interaction);
+                            return await interaction.followUp(await shopHistoryItemEmbed(interaction, skin, getItemShopHistory(valorantUser.puuid, skin.uuid)));
+                        }
+
+                        let day = interaction.options.getString("date");
+                        if (day && !isValidShopDay(day)) return await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).error.SHOP_HISTORY_INVALID_DATE)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        day ||= getShopHistoryDays(valorantUser.puuid, 1)[0];
+                        if (!day) return await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).error.NO_SHOP_HISTORY)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        await defer(interaction);
+                        return await interaction.followUp(await shopHistoryDayEmbed(interaction, valorantUser, day, getShopHistoryDay(valorantUser.puuid, day)));
+                    }
+
+                    if (interaction.options.getSubcommand(false) === "compare") {
+                        if (!valorantUser) return await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).error.NOT_REGISTERED)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        const userJson = readUserJson(interaction.user.id);
+                        const accountName = (index) => getSetting(interaction.user.id, "hideIgn") ?
+                            s(interaction).info.SWITCH_ACCOUNT_BUTTON.f({ n: index }) :
+                            userJson.accounts[index - 1].username || s(interaction).info.NO_USERNAME;
+                        const accountIndex = (option) => {
+                            const query = interaction.options.getString(option);
+                            if (!query) return userJson.currentAccount;
+                            const index = findTargetAccountIndex(interaction.user.id, query);
+                            return index && index <= userJson.accounts.length ? index : null;
+                        }
+
+                        const leftAccount = accountIndex("account");
+                        if (!leftAccount) return await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).error.ACCOUNT_NOT_FOUND)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+                        const left = { id: interaction.user.id, account: leftAccount, name: accountName(leftAccount) };
+
+                        let right;
+                        const otherUser = interaction.options.getUser("user");
+                        if (otherUser && otherUser.id !== interaction.user.id) {
+                            if (!getUser(otherUser.id)) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error.NOT_REGISTERED_OTHER)],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            if (!getSetting(otherUser.id, "othersCanViewShop")) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error.OTHER_SHOP_DISABLED.f({ u: `<@${otherUser.id}>` }))],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            right = { id: otherUser.id, account: null, name: otherUser.displayName || otherUser.username };
+                        } else if (interaction.options.getString("with_account")) {
+                            const rightAccount = accountIndex("with_account");
+                            if (!rightAccount) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error.ACCOUNT_NOT_FOUND)],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+                            right = { id: interaction.user.id, account: rightAccount, name: accountName(rightAccount) };
+                        }
+
+                        if (!right || (right.id === left.id && right.account === left.account)) return await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).error.SHOP_COMPARE_NOTHING)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        await defer(interaction);
+
+                        // same path as /shop, so shops that were already fetched come from the shop cache
+                        for (const side of [left, right]) {
+                            side.shop = await getOffers(side.id, side.account);
+                            if (!side.shop.success) {
+                                const errorText = side.id === interaction.user.id ? s(interaction).error.AUTH_ERROR_SHOP : s(interaction).error.AUTH_ERROR_SHOP_OTHER.f({ u: `<@${side.id}>` });
+                                return await interaction.followUp(authFailureMessage(interaction, side.shop, errorText, side.id !== interaction.user.id));
+                            }
+                        }
+
+                        return await interaction.followUp(await shopCompareEmbed(interaction, left, right));
+                    }
+
                     let targetUser = interaction.user;
 
                     const otherUser = interaction.options.getUser("user");
@@ -1105,12 +1517,51 @@ client.on("interactionCreate", async (interaction) => {
 
                     break;
                 }
+                case "budget": {
+                    if (!valorantUser) return await interaction.reply({
+                        embeds: [basicEmbed(s(interaction).error.NOT_REGISTERED)],
+                        flags: [MessageFlags.Ephemeral]
+                    });
+
+                    await defer(interaction);
+
+                    const balance = await getBalance(interaction.user.id);
+                    if (!balance.success) return await interaction.followUp(authFailureMessage(interaction, balance, s(interaction).error.AUTH_ERROR_BUDGET));
+
+                    const offers = await getOffers(interaction.user.id);
+                    if (!offers.success) return await interaction.followUp(authFailureMessage(interaction, offers, s(interaction).error.AUTH_ERROR_SHOP));
+
+                    const market = await getNightMarket(interaction.user.id);
+                    const alerts = alertsForUser(interaction.user.id);
+
+                    await interaction.followUp(await budgetEmbed(interaction, valorantUser, balance, offers, market.success ? market : null, alerts));
+
+                    break;
+                }
                 case "alert": {
                     if (!valorantUser) return await interaction.reply({
                         embeds: [basicEmbed(s(interaction).error.NOT_REGISTERED)],
                         flags: [MessageFlags.Ephemeral]
                     });
 
+                    // rules match any skin, so they can't be combined with a specific item
+                    const weapon = (interaction.options.get("weapon") || {}).value;
+                    const rarity = (interaction.options.get("rarity") || {}).value;
+                    const maxPrice = (interaction.options.get("maxprice") || {}).value;
+                    const lineQuery = (interaction.options.get("line") || {}).value;
+                    const hasItem = ["skin", "bundle", "accessory"].some(option => interaction.options.get(option));
+                    if (hasItem && (weapon || rarity || maxPrice || lineQuery)) return await interaction.reply({
+                        embeds: [basicEmbed(s(interaction).error.ALERT_RULE_WITH_ITEM)],
+                        flags: [MessageFlags.Ephemeral]
+                    });
+
+                    // only skins can be in the night market
+                    const minDiscount = (interaction.options.get("mindiscount") || {}).value;
+                    if (minDiscount && !interaction.options.get("skin")) return await interaction.reply({
+                        embeds: [basicEmbed(s(interaction).error.ALERT_DISCOUNT_WITHOUT_SKIN)],
+                        flags: [MessageFlags.Ephemeral]
+                    });
+
                     const channel = interaction.channel || await fetchChannel(interaction.channelId);
                     if (!canSendMessages(channel)) return await interaction.reply({
                         embeds: [basicEmbed(s(interaction).error.ALERT_NO_PERMS)],
@@ -1122,6 +1573,119 @@ client.on("interactionCreate", async (interaction) => {
                     const auth = await authUser(interaction.user.id);
                     if (!auth.success) return await interaction.followUp(authFailureMessage(interaction, auth, s(interaction).error.AUTH_ERROR_ALERTS));
 
+                    // options that apply to every kind of alert
+                    const alertOptions = {};
+                    if ((interaction.options.get("once") || {}).value) alertOptions.once = true;
+                    const expiresQuery = (interaction.options.get("expires") || {}).value;
+                    if (expiresQuery) {
+                        alertOptions.expires_at = parseAlertExpiry(expiresQuery);
+                        if (!alertOptions.expires_at) return await interaction.followUp({
+                            embeds: [basicEmbed(s(interaction).error.INVALID_ALERT_EXPIRY)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+                    }
+
+                    // bundle and accessory alerts are set directly from the autocomplete choice
+                    let alert = null, item = null;
+                    const bundleQuery = (interaction.options.get("bundle") || {}).value;
+                    const accessoryQuery = (interaction.options.get("accessory") || {}).value;
+                    if (bundleQuery) {
+                        item = await getBundle(bundleQuery) || (await searchBundle(bundleQuery, interaction.locale, 1))[0]?.obj;
+                        if (!item) return await interaction.followUp({
+                            embeds: [basicEmbed(s(interaction).error.BUNDLE_NOT_FOUND)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        alert = { uuid: item.uuid, channel_id: interaction.channelId, type: "bundle", ...alertOptions };
+                    } else if (accessoryQuery) {
+                        const [type, uuid] = accessoryQuery.split('/');
+                        if (Object.values(accessoryAlertTypes).includes(type)) {
+                            alert = { uuid, channel_id: interaction.channelId, type, ...alertOptions };
+                            item = await getAlertItem(alert);
+                        } else {
+                            item = (await searchAccessory(accessoryQuery, interaction.locale, 1))[0]?.obj;
+                            if (item) alert = { uuid: item.uuid, channel_id: interaction.channelId, type: accessoryAlertTypes[item.type], ...alertOptions };
+                        }
+
+                        if (!item) return await interaction.followUp({
+                            embeds: [basicEmbed(s(interaction).error.ACCESSORY_NOT_FOUND)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+                    }
+
+                    if (!alert && !interaction.options.get("skin") && (weapon || rarity || maxPrice || lineQuery)) {
+                        const rule = {};
+                        if (weapon) rule.weapon = weapon;
+                        if (rarity) rule.rarity = rarity;
+                        if (maxPrice) rule.maxPrice = maxPrice;
+                        if (lineQuery) {
+                            const bundle = await getBundle(lineQuery) || (await searchBundle(lineQuery, interaction.locale, 1))[0]?.obj;
+                            if (!bundle) return await interaction.followUp({
+                                embeds: [basicEmbed(s(interaction).error.BUNDLE_NOT_FOUND)],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            rule.line = extractBundleCode(bundle.assetPath);
+                            rule.bundle = bundle.uuid;
+                            if (!rule.line) return await interaction.followUp({
+                                embeds: [basicEmbed(s(interaction).error.NO_SKIN_LINE)],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+                        }
+
+                        const otherRule = alertsForUser(interaction.user.id).find(a => a.type === "rule" && JSON.stringify(a.rule) === JSON.stringify(rule));
+                        if (otherRule) return await interaction.followUp({
+                            embeds: [basicEmbed(s(interaction).error.DUPLICATE_RULE_ALERT.f({ r: await ruleDescription(rule, interaction), c: otherRule.channel_id }))],
+                            components: [removeAlertActionRow(interaction.user.id, otherRule.uuid, s(interaction).info.REMOVE_ALERT_BUTTON)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        if (!await canAccessChannel(interaction.channelId)) return await interaction.followUp({
+                            embeds: [basicEmbed(s(interaction).error.ALERT_NO_PERMS)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        const ruleAlert = {
+                            uuid: "rule-" + Math.random().toString(36).slice(2, 10),
+                            channel_id: interaction.channelId,
+                            type: "rule",
+                            rule,
+                            ...alertOptions
+                        };
+                        addAlert(interaction.user.id, ruleAlert);
+
+                        return await interaction.followUp({
+                            embeds: [basicEmbed(s(interaction).info.RULE_ALERT_SET.f({ r: await ruleDescription(rule, interaction) }) + alertLifetimeDescription(interaction, ruleAlert))],
+                            components: [removeAlertActionRow(interaction.user.id, ruleAlert.uuid, s(interaction).info.REMOVE_ALERT_BUTTON)],
+                        });
+                    }
+
+                    if (alert) {
+                        const otherAlert = alertExists(interaction.user.id, alert.uuid);
+                        if (otherAlert) return await interaction.followUp({
+                            embeds: [basicEmbed(s(interaction).error.DUPLICATE_ALERT.f({ s: await alertNameAndEmoji(alert, item, interaction.channel, interaction), c: otherAlert.channel_id }))],
+                            components: [removeAlertActionRow(interaction.user.id, alert.uuid, s(interaction).info.REMOVE_ALERT_BUTTON)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        if (!await canAccessChannel(interaction.channelId)) return await interaction.followUp({
+                            embeds: [basicEmbed(s(interaction).error.ALERT_NO_PERMS)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        addAlert(interaction.user.id, alert);
+
+                        return await interaction.followUp({
+                            embeds: [await skinChosenEmbed(interaction, item, alert)],
+                            components: [removeAlertActionRow(interaction.user.id, alert.uuid, s(interaction).info.REMOVE_ALERT_BUTTON)],
+                        });
+                    }
+
+                    if (!interaction.options.get("skin")) return await interaction.followUp({
+                        embeds: [basicEmbed(s(interaction).error.ALERT_NO_TARGET)],
+                        flags: [MessageFlags.Ephemeral]
+                    });
+
                     const searchQuery = interaction.options.get("skin").value
                     const searchResults = await searchSkin(searchQuery, interaction.locale, 25);
 
@@ -1159,13 +1723,16 @@ client.on("interactionCreate", async (interaction) => {
                             });
                         }
 
-                        addAlert(interaction.user.id, {
+                        const alert = {
                             uuid: skin.uuid,
-                            channel_id: interaction.channelId
-                        });
+                            channel_id: interaction.channelId,
+                            ...alertOptions
+                        };
+                        if (minDiscount) alert.min_discount = minDiscount;
+                        addAlert(interaction.user.id, alert);
 
                         return await interaction.followUp({
-                            embeds: [await skinChosenEmbed(interaction, skin)],
+                            embeds: [await skinChosenEmbed(interaction, skin, alert)],
                             components: [removeAlertActionRow(interaction.user.id, skin.uuid, s(interaction).info.REMOVE_ALERT_BUTTON)],
                         });
                     } else {
@@ -1173,7 +1740,7 @@ client.on("interactionCreate", async (interaction) => {
                         const options = filteredResults.splice(0, 25).map(result => {
                             return {
                                 label: l(result.obj.names, interaction),
-                                value: `skin-${result.obj.uuid}`
+                                value: `skin-${result.obj.uuid}/${minDiscount || ""}/${alertOptions.once ? 1 : ""}/${alertOptions.expires_at || ""}`
                             }
                         });
                         row.addComponents(new StringSelectMenuBuilder().setCustomId("skin-select").setPlaceholder(s(interaction).info.ALERT_CHOICE_PLACEHOLDER).addOptions(options));
@@ -1186,15 +1753,218 @@ client.on("interactionCreate", async (interaction) => {
 
                     break;
                 }
+                case "webhook": {
+                    if (!valorantUser) return await interaction.reply({
+                        embeds: [basicEmbed(s(interaction).error.NOT_REGISTERED)],
+                        flags: [MessageFlags.Ephemeral]
+                    });
+
+                    const targets = getDeliveryTargets(interaction.user.id);
+                    const webhookId = (interaction.options.get("id") || {}).value;
+                    const target = targets.find(target => target.id === webhookId);
+
+                    switch (interaction.options.getSubcommand()) {
+                        case "add": {
+                            const url = interaction.options.get("url").value.trim();
+                            const error = await webhookUrlError(url);
+                            if (error) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error[error])],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            if (targets.length >= config.maxWebhooksPerUser) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error.WEBHOOK_LIMIT.f({ n: config.maxWebhooksPerUser }))],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            const events = (interaction.options.get("events") || {}).value || "all";
+                            const id = addDeliveryTarget(interaction.user.id, isDiscordWebhook(url) ? "discord" : "http", url, events);
+
+                            await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).info.WEBHOOK_ADDED.f({ n: id }))],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+                            break;
+                        }
+                        case "list": {
+                            await interaction.reply(webhooksEmbed(interaction, targets));
+                            break;
+                        }
+                        case "remove": {
+                            if (!target) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error.WEBHOOK_NOT_FOUND.f({ n: webhookId }))],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            removeDeliveryTarget(interaction.user.id, target.id);
+                            await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).info.WEBHOOK_REMOVED.f({ n: target.id }))],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+                            break;
+                        }
+                        case "test": {
+                            if (!target) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error.WEBHOOK_NOT_FOUND.f({ n: webhookId }))],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            await defer(interaction, true);
+
+                            const result = await sendTestWebhook(interaction.user.id, target);
+                            await interaction.followUp({
+                                embeds: [result.success ?
+                                    secondaryEmbed(s(interaction).info.WEBHOOK_TEST_SUCCESSFUL.f({ n: target.id })) :
+                                    basicEmbed(s(interaction).error.WEBHOOK_TEST_FAILED.f({ n: target.id, e: result.error }))],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+                            break;
+                        }
+                    }
+
+                    break;
+                }
+                case "watchlist": {
+                    if (!interaction.guild) return await interaction.reply({
+                        embeds: [basicEmbed(s(interaction).error.GUILD_ONLY)],
+                        flags: [MessageFlags.Ephemeral]
+                    });
+
+                    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) return await interaction.reply({
+                        embeds: [basicEmbed(s(interaction).error.GUILD_WATCH_NO_PERMS)],
+                        flags: [MessageFlags.Ephemeral]
+                    });
+
+                    const watch = getGuildWatch(interaction.guildId) || { guildId: interaction.guildId, channelId: interaction.channelId, skins: [] };
+
+                    switch (interaction.options.getSubcommand()) {
+                        case "add": {
+                            const channel = interaction.channel || await fetchChannel(interaction.channelId);
+                            if (!canSendMessages(channel)) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error.ALERT_NO_PERMS)],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            const skinQuery = interaction.options.get("skin").value;
+                            const skin = (await searchSkin(skinQuery, interaction.locale, 1))[0]?.obj;
+                            if (!skin) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error.SKIN_NOT_FOUND)],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            const skinName = await skinNameAndEmoji(skin, channel, interaction);
+                            if (watch.skins.includes(skin.uuid) && watch.channelId === interaction.channelId) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error.GUILD_WATCH_DUPLICATE.f({ s: skinName }))],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            if (!watch.skins.includes(skin.uuid)) {
+                                if (watch.skins.length >= GUILD_WATCH_MAX_SKINS) return await interaction.reply({
+                                    embeds: [basicEmbed(s(interaction).error.GUILD_WATCH_FULL.f({ n: GUILD_WATCH_MAX_SKINS }))],
+                                    flags: [MessageFlags.Ephemeral]
+                                });
+                                watch.skins.push(skin.uuid);
+                            }
+                            watch.channelId = interaction.channelId;
+                            saveGuildWatch(watch);
+
+                            await interaction.reply({
+                                embeds: [{
+                                    description: s(interaction).info.GUILD_WATCH_ADDED.f({ s: skinName, c: watch.channelId }) + s(interaction).info.GUILD_WATCH_OPT_IN.f({ s: settingName("guildWatch", interaction) }),
+                                    color: VAL_COLOR_1,
+                                    thumbnail: {
+                                        url: skin.icon
+                                    }
+                                }]
+                            });
+                            break;
+                        }
+                        case "remove": {
+                            const skinQuery = interaction.options.get("skin").value;
+                            const uuid = watch.skins.includes(skinQuery) ? skinQuery : (await searchSkin(skinQuery, interaction.locale, 1))[0]?.obj.uuid;
+                            if (!uuid || !watch.skins.includes(uuid)) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error.GUILD_WATCH_NOT_WATCHED)],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            watch.skins = watch.skins.filter(skin => skin !== uuid);
+                            if (watch.skins.length) saveGuildWatch(watch);
+                            else deleteGuildWatch(interaction.guildId);
+
+                            const skin = await getSkin(uuid);
+                            await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).info.GUILD_WATCH_REMOVED.f({ s: skin ? await skinNameAndEmoji(skin, interaction.channel, interaction) : uuid }))]
+                            });
+                            break;
+                        }
+                        case "view": {
+                            await interaction.reply(await guildWatchEmbed(interaction, watch));
+                            break;
+                        }
+                        case "clear": {
+                            deleteGuildWatch(interaction.guildId);
+                            await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).info.GUILD_WATCH_CLEARED)]
+                            });
+                            break;
+                        }
+                    }
+
+                    break;
+                }
                 case "alerts": {
                     if (!valorantUser) return await interaction.reply({
                         embeds: [basicEmbed(s(interaction).error.NOT_REGISTERED)],
                         flags: [MessageFlags.Ephemeral]
                     });
 
+                    const subcommand = interaction.options.getSubcommand(false) || "list";
+                    if (subcommand === "export") {
+                        await defer(interaction, true);
+
+                        const exported = await exportAlerts(interaction.user.id);
+                        if (!exported.alerts.length) return await interaction.followUp({
+                            embeds: [basicEmbed(s(interaction).error.NO_ALERTS)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        return await interaction.followUp({
+                            embeds: [secondaryEmbed(s(interaction).info.ALERTS_EXPORTED.f({ n: exported.alerts.length }))],
+                            files: [new AttachmentBuilder(Buffer.from(JSON.stringify(exported, null, 2)), { name: "alerts.json" })],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+                    }
+
+                    if (subcommand === "import") {
+                        const file = interaction.options.getAttachment("file");
+                        if (file.size > ALERT_IMPORT_MAX_SIZE) return await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).error.ALERTS_IMPORT_INVALID)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        await defer(interaction, true);
+
+                        const req = await fetch(file.url).catch(() => null);
+                        const exportedAlerts = req?.statusCode === 200 ? parseAlertExport(req.body) : null;
+                        if (!exportedAlerts) return await interaction.followUp({
+                            embeds: [basicEmbed(s(interaction).error.ALERTS_IMPORT_INVALID)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        const result = await importAlerts(interaction, exportedAlerts);
+                        let description = s(interaction).info.ALERTS_IMPORTED.f({ n: result.imported });
+                        if (result.retargeted) description += "\n" + s(interaction).info.ALERTS_IMPORT_RETARGETED.f({ n: result.retargeted });
+                        if (result.skipped) description += "\n" + s(interaction).info.ALERTS_IMPORT_SKIPPED.f({ n: result.skipped });
+
+                        return await interaction.followUp({
+                            embeds: [secondaryEmbed(description)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+                    }
+
                     await defer(interaction);
 
-                    const message = await fetchAlerts(interaction);
+                    const message = subcommand === "history" ? await fetchAlertHistory(interaction) : await fetchAlerts(interaction);
                     await interaction.followUp(message);
 
                     break;
@@ -1366,6 +2136,12 @@ client.on("interactionCreate", async (interaction) => {
                     break;
                 }
                 case "stats": {
+                    const personal = interaction.options.getBoolean("mine");
+                    if (personal && !valorantUser) return await interaction.reply({
+                        embeds: [basicEmbed(s(interaction).error.NOT_REGISTERED)],
+                        flags: [MessageFlags.Ephemeral]
+                    });
+
                     await defer(interaction);
 
                     const skinName = (interaction.options.get("skin") || {}).value;
@@ -1383,6 +2159,10 @@ client.on("interactionCreate", async (interaction) => {
                             l(skins[0].obj.names).toLowerCase() === skinName.toLowerCase()) {
                             const skin = skins[0].obj;
 
+                            if (personal) return await interaction.followUp({
+                                embeds: [await personalStatsForSkinEmbed(skin, getPersonalStatsFor(valorantUser.puuid, skin.uuid), interaction)]
+                            });
+
                             const stats = getStatsFor(skin.uuid);
 
                             return await interaction.followUp({
@@ -1396,7 +2176,7 @@ client.on("interactionCreate", async (interaction) => {
                                     value: `skin-${result.obj.uuid}`
                                 }
                             });
-                            row.addComponents(new StringSelectMenuBuilder().setCustomId("skin-select-stats").setPlaceholder(s(interaction).info.ALERT_CHOICE_PLACEHOLDER).addOptions(options));
+                            row.addComponents(new StringSelectMenuBuilder().setCustomId(personal ? "skin-select-personalstats" : "skin-select-stats").setPlaceholder(s(interaction).info.ALERT_CHOICE_PLACEHOLDER).addOptions(options));
 
                             await interaction.followUp({
                                 embeds: [secondaryEmbed(s(interaction).info.STATS_CHOICE)],
@@ -1404,8 +2184,57 @@ client.on("interactionCreate", async (interaction) => {
                             });
                         }
 
+                    } else if (interaction.options.getString("breakdown")) {
+                        const breakdown = interaction.options.getString("breakdown");
+                        if (personal) await interaction.followUp(await statsBreakdownEmbed(interaction, getPersonalOverallStats(valorantUser.puuid), breakdown, valorantUser));
+                        else await interaction.followUp(await statsBreakdownEmbed(interaction, getOverallStats(), breakdown));
+                    } else if (personal) {
+                        await interaction.followUp(await personalStatsEmbed(interaction, valorantUser, getPersonalStats(valorantUser.puuid)));
                     } else {
-                        await interaction.followUp(await allStatsEmbed(interaction, getOverallStats()));
+                        const sort = interaction.options.getString("sort") || "count";
+                        await interaction.followUp(await allStatsEmbed(interaction, getOverallStats(sort), 0, sort));
+                    }
+
+                    break;
+                }
+                case "patch": {
+                    const subcommand = interaction.options.getSubcommand(false) || "view";
+                    if (subcommand === "view") {
+                        await defer(interaction);
+                        await interaction.followUp(await patchEmbed(interaction, await getPatch()));
+                        break;
+                    }
+
+                    if (!interaction.guild) return await interaction.reply({
+                        embeds: [basicEmbed(s(interaction).error.GUILD_ONLY)],
+                        flags: [MessageFlags.Ephemeral]
+                    });
+
+                    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) return await interaction.reply({
+                        embeds: [basicEmbed(s(interaction).error.PATCH_NO_PERMS)],
+                        flags: [MessageFlags.Ephemeral]
+                    });
+
+                    if (subcommand === "subscribe") {
+                        const channel = interaction.channel || await fetchChannel(interaction.channelId);
+                        if (!canSendMessages(channel)) return await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).error.ALERT_NO_PERMS)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        setPatchSubscription(interaction.guildId, interaction.channelId);
+                        await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).info.PATCH_SUBSCRIBED.f({ c: interaction.channelId }))]
+                        });
+                    } else {
+                        if (!deletePatchSubscription(interaction.guildId)) return await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).error.PATCH_NOT_SUBSCRIBED)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+
+                        await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).info.PATCH_UNSUBSCRIBED)]
+                        });
                     }
 
                     break;
@@ -1460,6 +2289,19 @@ client.on("interactionCreate", async (interaction) => {
                     switch (interaction.options.getSubcommand()) {
                         case "view": return await handleSettingsViewCommand(interaction);
                         case "set": return await handleSettingsSetCommand(interaction);
+                        case "timezone": {
+                            const timezone = interaction.options.getString("timezone");
+                            if (!isValidTimezone(timezone)) return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).error.INVALID_TIMEZONE)],
+                                flags: [MessageFlags.Ephemeral]
+                            });
+
+                            // store the canonical name, e.g. "europe/paris" -> "Europe/Paris"
+                            const valueSet = await setSetting(interaction, "timezone", new Intl.DateTimeFormat("en-US", { timeZone: timezone }).resolvedOptions().timeZone);
+                            return await interaction.reply({
+                                embeds: [basicEmbed(s(interaction).settings.CONFIRMATION.f({ s: settingName("timezone", interaction), v: humanifyValue(valueSet, "timezone", interaction) }))]
+                            });
+                        }
                     }
 
                     break;
@@ -1611,7 +2453,7 @@ client.on("interactionCreate", async (interaction) => {
 
                     await deferInteraction(interaction);
 
-                    const chosenSkin = interaction.values[0].substr(5);
+                    const [chosenSkin, minDiscount, once, expiresAt] = interaction.values[0].substr(5).split('/');
                     const skin = await getSkin(chosenSkin);
 
                     const otherAlert = alertExists(interaction.user.id, chosenSkin);
@@ -1630,14 +2472,18 @@ client.on("interactionCreate", async (interaction) => {
                         });
                     }
 
-                    addAlert(interaction.user.id, {
+                    const alert = {
                         id: interaction.user.id,
                         uuid: chosenSkin,
                         channel_id: interaction.channelId
-                    });
+                    };
+                    if (minDiscount) alert.min_discount = parseInt(minDiscount);
+                    if (once) alert.once = true;
+                    if (expiresAt) alert.expires_at = parseInt(expiresAt);
+                    addAlert(interaction.user.id, alert);
 
                     await updateInteraction(interaction, {
-                        embeds: [await skinChosenEmbed(interaction, skin)],
+                        embeds: [await skinChosenEmbed(interaction, skin, alert)],
                         components: [removeAlertActionRow(interaction.user.id, chosenSkin, s(interaction).info.REMOVE_ALERT_BUTTON)]
                     });
 
@@ -1762,6 +2608,30 @@ client.on("interactionCreate", async (interaction) => {
 
                     break;
                 }
+                case "skin-select-personalstats": {
+                    if (interaction.message.interaction.user.id !== interaction.user.id) {
+                        return await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).error.NOT_UR_MESSAGE_STATS)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+                    }
+                    if (!valorantUser) return await interaction.reply({
+                        embeds: [basicEmbed(s(interaction).error.NOT_REGISTERED)],
+                        flags: [MessageFlags.Ephemeral]
+                    });
+
+                    await deferInteraction(interaction);
+
+                    const chosenSkin = interaction.values[0].substr(5);
+                    const skin = await getSkin(chosenSkin);
+
+                    await updateInteraction(interaction, {
+                        embeds: [await personalStatsForSkinEmbed(skin, getPersonalStatsFor(valorantUser.puuid, chosenSkin), interaction)],
+                        components: []
+                    });
+
+                    break;
+                }
                 case "bundle-select": {
                     if (interaction.message.interaction.user.id !== interaction.user.id) {
                         return await interaction.reply({
@@ -1865,13 +2735,13 @@ client.on("interactionCreate", async (interaction) => {
                     flags: [MessageFlags.Ephemeral]
                 });
 
-                const success = removeAlert(id, uuid);
-                if (success) {
-                    const skin = await getSkin(uuid);
+                const removedAlert = removeAlert(id, uuid);
+                if (removedAlert) {
+                    const item = await getAlertItem(removedAlert);
 
                     const channel = interaction.channel || await fetchChannel(interaction.channelId);
                     await interaction.reply({
-                        embeds: [basicEmbed(s(interaction).info.ALERT_REMOVED.f({ s: await skinNameAndEmoji(skin, channel, interaction) }))],
+                        embeds: [basicEmbed(s(interaction).info.ALERT_REMOVED.f({ s: await alertNameAndEmoji(removedAlert, item, channel, interaction) }))],
                         flags: [MessageFlags.Ephemeral]
                     });
 
@@ -1900,6 +2770,17 @@ client.on("interactionCreate", async (interaction) => {
 
                 const emojiString = await VPEmoji(interaction);
                 await updateInteraction(interaction, await alertsPageEmbed(interaction, await filteredAlertsForUser(interaction), parseInt(pageIndex), emojiString));
+            } else if (interaction.customId.startsWith("changealerthistorypage")) {
+                const [, id, pageIndex] = interaction.customId.split('/');
+
+                if (id !== interaction.user.id) return await interaction.reply({
+                    embeds: [basicEmbed(s(interaction).error.NOT_UR_ALERT)],
+                    flags: [MessageFlags.Ephemeral]
+                });
+
+                await deferInteraction(interaction);
+
+                await updateInteraction(interaction, await fetchAlertHistory(interaction, parseInt(pageIndex)));
             } else if (interaction.customId.startsWith("changestatspage")) {
                 const [, id, pageIndex] = interaction.customId.split('/');
 
@@ -1911,6 +2792,32 @@ client.on("interactionCreate", async (interaction) => {
                 await deferInteraction(interaction);
 
                 await updateInteraction(interaction, await allStatsEmbed(interaction, await getOverallStats(), parseInt(pageIndex)));
+            } else if (interaction.customId.startsWith("changeabsentstatspage")) {
+                const [, id, pageIndex] = interaction.customId.split('/');
+
+                if (id !== interaction.user.id) return await interaction.reply({
+                    embeds: [basicEmbed(s(interaction).error.NOT_UR_MESSAGE_STATS)],
+                    flags: [MessageFlags.Ephemeral]
+                });
+
+                await deferInteraction(interaction);
+
+                await updateInteraction(interaction, await allStatsEmbed(interaction, getOverallStats("absent"), parseInt(pageIndex), "absent"));
+            } else if (interaction.customId.startsWith("changepersonalstatspage")) {
+                const [, id, pageIndex] = interaction.customId.split('/');
+
+                if (id !== interaction.user.id) return await interaction.reply({
+                    embeds: [basicEmbed(s(interaction).error.NOT_UR_MESSAGE_STATS)],
+                    flags: [MessageFlags.Ephemeral]
+                });
+                if (!valorantUser) return await interaction.reply({
+                    embeds: [basicEmbed(s(interaction).error.NOT_REGISTERED)],
+                    flags: [MessageFlags.Ephemeral]
+                });
+
+                await deferInteraction(interaction);
+
+                await updateInteraction(interaction, await personalStatsEmbed(interaction, valorantUser, getPersonalStats(valorantUser.puuid), parseInt(pageIndex)));
             } else if (interaction.customId.startsWith("cl_mode/")) {
                 const [, mode, id] = interaction.customId.split('/');
 
@@ -2084,6 +2991,11 @@ client.on("interactionCreate", async (interaction) => {
                     case "nm": newMessage = await fetchNightMarket(interaction, getUser(id)); break;
                     case "bp": newMessage = await renderBattlepassProgress(interaction, id); break;
                     case "alerts": newMessage = await fetchAlerts(interaction); break;
+                    case "digest": {
+                        const digest = getDigest(id);
+                        newMessage = digest ? await renderDigest(interaction, id, digest) : { embeds: [basicEmbed(s(interaction).error.NO_DIGEST)], flags: [MessageFlags.Ephemeral] };
+                        break;
+                    }
                     case "cl": newMessage = await renderCollection(interaction, id); break;
                     case "clstats": newMessage = await collectionStatsEmbed(interaction, id, getUser(id)); break;
                     case "profile": newMessage = await renderProfile(interaction, await getAccountInfo(getUser(id), interaction), id); break;
@@ -2142,12 +3054,12 @@ client.on("interactionCreate", async (interaction) => {
                 if (pageId === 'clwpage') [, pageId, weaponTypeIndex, userId, max] = interaction.customId.split('/');
 
                 if (userId !== interaction.user.id) {
-                    if (pageId === 'changestatspage') {
+                    if (pageId === 'changestatspage' || pageId === 'changeabsentstatspage' || pageId === 'changepersonalstatspage') {
                         return await interaction.reply({
                             embeds: [basicEmbed(s(interaction).error.NOT_UR_MESSAGE_STATS)],
                             flags: [MessageFlags.Ephemeral]
                         });
-                    } else if (pageId === 'changealertspage') {
+                    } else if (pageId === 'changealertspage' || pageId === 'changealerthistorypage') {
                         return await interaction.reply({
                             embeds: [basicEmbed(s(interaction).error.NOT_UR_ALERT)],
                             flags: [MessageFlags.Ephemeral]
@@ -2371,10 +3283,26 @@ client.on("interactionCreate", async (interaction) => {
                         await deferInteraction(interaction);
                         await updateInteraction(interaction, await alertsPageEmbed(interaction, await filteredAlertsForUser(interaction), parseInt(pageIndex - 1), await VPEmoji(interaction)));
                         break;
+                    case "changealerthistorypage":
+                        await deferInteraction(interaction);
+                        await updateInteraction(interaction, await fetchAlertHistory(interaction, parseInt(pageIndex - 1)));
+                        break;
                     case "changestatspage":
                         await deferInteraction(interaction);
                         await updateInteraction(interaction, await allStatsEmbed(interaction, await getOverallStats(), parseInt(pageIndex - 1)));
                         break;
+                    case "changeabsentstatspage":
+                        await deferInteraction(interaction);
+                        await updateInteraction(interaction, await allStatsEmbed(interaction, getOverallStats("absent"), parseInt(pageIndex - 1), "absent"));
+                        break;
+                    case "changepersonalstatspage":
+                        if (!valorantUser) return await interaction.reply({
+                            embeds: [basicEmbed(s(interaction).error.NOT_REGISTERED)],
+                            flags: [MessageFlags.Ephemeral]
+                        });
+                        await deferInteraction(interaction);
+                        await updateInteraction(interaction, await personalStatsEmbed(interaction, valorantUser, getPersonalStats(valorantUser.puuid), parseInt(pageIndex - 1)));
+                        break;
                 }
 
                 async function clpage() {
@@ -2411,7 +3339,21 @@ client.on("interactionCreate", async (interaction) => {
     } else if (interaction.isAutocomplete()) {
         try {
             // console.log("Received autocomplete interaction from " + interaction.user.tag);
-            if (interaction.commandName === "alert" || interaction.commandName === "stats") {
+            const focusedOption = interaction.options.getFocused(true);
+            if (interaction.commandName === "watchlist" && interaction.options.getSubcommand(false) === "remove") {
+                const watch = getGuildWatch(interaction.guildId);
+                const options = [];
+                for (const uuid of watch?.skins || []) {
+                    const skin = await getSkin(uuid);
+                    const name = l(skin?.names, interaction) || uuid;
+                    if (name.toLowerCase().includes(focusedOption.value.toLowerCase())) options.push({ name, value: uuid });
+                }
+
+                await interaction.respond(options.slice(0, 25));
+            } else if (interaction.commandName === "settings") {
+                const timezones = fuzzysort.go(focusedOption.value, Intl.supportedValuesOf("timeZone"), { limit: 25, all: true });
+                await interaction.respond(timezones.map(result => ({ name: result.target, value: result.target })));
+            } else if (((interaction.commandName === "alert" || interaction.commandName === "shop") && focusedOption.name === "skin") || interaction.commandName === "stats" || interaction.commandName === "watchlist") {
                 const focusedValue = interaction.options.getFocused();
                 const searchResults = await searchSkin(focusedValue, interaction.locale, 5);
 
@@ -2419,7 +3361,19 @@ client.on("interactionCreate", async (interaction) => {
                     name: result.obj.names[discToValLang[interaction.locale] || DEFAULT_VALORANT_LANG],
                     value: result.obj.names[DEFAULT_VALORANT_LANG],
                 })));
-            } else if (interaction.commandName === "bundle") {
+            } else if (interaction.commandName === "alert" && focusedOption.name === "accessory") {
+                const searchResults = await searchAccessory(focusedOption.value, interaction.locale, 25);
+
+                const options = [];
+                for (const result of searchResults) {
+                    const alert = { uuid: result.obj.uuid, type: accessoryAlertTypes[result.obj.type] };
+                    let name = await alertNameAndEmoji(alert, result.obj, null, interaction);
+                    if (name.length > 100) name = name.slice(0, 96) + " ...";
+                    options.push({ name, value: `${alert.type}/${alert.uuid}` });
+                }
+
+                await interaction.respond(options);
+            } else if (interaction.commandName === "bundle" || interaction.commandName === "alert") {
 
                 const focusedValue = interaction.options.getFocused();
                 const searchResults = await searchBundle(focusedValue, interaction.locale, 25);
@@ -2440,7 +3394,7 @@ client.on("interactionCreate", async (interaction) => {
                 }
 
                 await interaction.respond(options.slice(0, 25));
-            } else if (interaction.commandName === "account" || interaction.commandName === "forget") {
+            } else if (interaction.commandName === "account" || interaction.commandName === "forget" || interaction.commandName === "shop") {
                 const focusedValue = interaction.options.getFocused();
 
                 const userJson = readUserJson(interaction.user.id);
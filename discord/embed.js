@@ -8,7 +8,9 @@ import {
     getTitle,
     getFlex,
     getWeapon,
-    getRarity
+    getRarity,
+    getItem,
+    getAllSkins
 } from "../valorant/cache.js";
 import {
     itemTypes,
@@ -16,18 +18,20 @@ import {
     isToday,
     WeaponTypeUuid,
     WeaponType,
-    WEAPON_CATEGORIES
+    RarityTier,
+    WEAPON_CATEGORIES,
+    vpToMoney
 } from "../misc/util.js";
 import config from "../misc/config.js";
 import { DEFAULT_LANG, DEFAULT_VALORANT_LANG, discToValLang, l, s, hideUsername } from "../misc/languages.js";
 import { ActionRowBuilder, ButtonBuilder, ButtonStyle, escapeMarkdown, EmbedBuilder, MessageFlags, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, PermissionsBitField } from "discord.js";
-import { getStatsFor } from "../misc/stats.js";
+import { getStatsFor, getShopScore, getStatsBreakdown } from "../misc/stats.js";
 import { getUser } from "../valorant/auth.js";
 import { readUserJson, saveUser } from "../valorant/accountSwitcher.js";
 import { getSetting, humanifyValue, settingIsVisible, settingName, settings, setSetting } from "../misc/settings.js";
 import { VPEmoji, KCEmoji, rarityEmoji, rankEmoji, agentEmoji, emojiToString } from "./emoji.js";
 import { resolveTier } from "../valorant/livegame.js";
-import { getOffers, getBundles, getNightMarket, getNextNightMarketTimestamp, NMTimestamp } from "../valorant/shop.js";
+import { getOffers, getBundles, getNightMarket, getNextNightMarketTimestamp, NMTimestamp, planBudget } from "../valorant/shop.js";
 import { getBattlepassProgress } from "../valorant/battlepass.js";
 import { getLoadout, getSkins } from "../valorant/inventory.js";
 import { TIER_NAMES, getAccountXP } from "../valorant/profile.js";
@@ -122,6 +126,52 @@ export const skinNameAndEmoji = async (skin, channel, localeOrInteraction = DEFA
     return rarityIcon ? `${rarityIcon} ${name}` : name;
 };
 
+// the item an alert is watching, a skin unless the alert says otherwise
+export const getAlertItem = async (alert) => {
+    switch (alert.type) {
+        case "bundle": return await getBundle(alert.uuid);
+        case "buddy": return await getBuddy(alert.uuid);
+        case "card": return await getCard(alert.uuid);
+        case "spray": return await getSpray(alert.uuid);
+        case "title": return await getTitle(alert.uuid);
+        case "flex": return await getFlex(alert.uuid);
+        case "rule": return null;
+        default: return await getSkin(alert.uuid);
+    }
+};
+
+const alertTypeEmojis = {
+    bundle: "📦",
+    buddy: "🔑",
+    card: "🖼️",
+    spray: "🎨",
+    title: "🏷️",
+    flex: "✨"
+};
+
+// e.g. "Exclusive Vandal, from the Prime line, 2175 VP max"
+export const ruleDescription = async (rule, localeOrInteraction = DEFAULT_LANG) => {
+    let skins;
+    if (rule.weapon) skins = rule.rarity ? `${RarityTier[rule.rarity]} ${WeaponType[rule.weapon]}` : WeaponType[rule.weapon];
+    else skins = rule.rarity ? s(localeOrInteraction).info.RULE_ANY_RARITY_SKIN.f({ r: RarityTier[rule.rarity] }) : s(localeOrInteraction).info.RULE_ANY_SKIN;
+    const parts = [skins];
+
+    if (rule.line) {
+        const bundle = rule.bundle && await getBundle(rule.bundle);
+        parts.push(s(localeOrInteraction).info.RULE_SKIN_LINE.f({ b: bundle ? l(bundle.names, localeOrInteraction) : rule.line }));
+    }
+    if (rule.maxPrice) parts.push(s(localeOrInteraction).info.RULE_MAX_PRICE.f({ p: rule.maxPrice }));
+
+    return parts.join(", ");
+};
+
+export const alertNameAndEmoji = async (alert, item, channel, localeOrInteraction = DEFAULT_LANG) => {
+    if (alert.type === "rule") return `🔎 ${await ruleDescription(alert.rule, localeOrInteraction)}`;
+    if (!item) return alert.uuid;
+    if (alert.type in alertTypeEmojis) return `${alertTypeEmojis[alert.type]} ${l(item.names, localeOrInteraction)}`;
+    return await skinNameAndEmoji(item, channel, localeOrInteraction);
+};
+
 export const actionRow = (button) => new ActionRowBuilder().addComponents(button);
 
 export const removeAlertButton = (id, uuid, buttonText) => new ButtonBuilder()
@@ -296,15 +346,24 @@ export const authFailureMessage = (interactionOrId, authResponse, message = "AUT
     }
 }
 
-export const skinChosenEmbed = async (interaction, skin) => {
+export const alertLifetimeDescription = (interaction, alert) => {
+    let description = "";
+    if (alert.once) description += s(interaction).info.ALERT_SET_ONCE;
+    if (alert.expires_at) description += s(interaction).info.ALERT_SET_EXPIRES.f({ t: alert.expires_at });
+    return description;
+}
+
+export const skinChosenEmbed = async (interaction, skin, alert = null) => {
     const channel = interaction.channel || await fetchChannel(interaction.channelId);
-    let description = s(interaction).info.ALERT_SET.f({ s: await skinNameAndEmoji(skin, channel, interaction) });
-    if (config.fetchSkinPrices && !skin.price) description += s(interaction).info.ALERT_BP_SKIN;
+    let description = s(interaction).info.ALERT_SET.f({ s: alert ? await alertNameAndEmoji(alert, skin, channel, interaction) : await skinNameAndEmoji(skin, channel, interaction) });
+    if (alert?.min_discount) description += s(interaction).info.ALERT_SET_MIN_DISCOUNT.f({ d: alert.min_discount });
+    if (alert) description += alertLifetimeDescription(interaction, alert);
+    if (config.fetchSkinPrices && !skin.price && !alert?.type) description += s(interaction).info.ALERT_BP_SKIN;
     return {
         description: description,
         color: VAL_COLOR_1,
         thumbnail: {
-            url: skin.icon
+            url: skin.icon || skin.icons?.large
         }
     }
 }
@@ -344,6 +403,11 @@ export const renderOffers = async (shop, interaction, valorantUser, VPemoji, oth
 
     embeds.push(...await Promise.all(embedPromises));
 
+    if (config.shopSummary) {
+        const summary = await shopSummaryEmbed(shop, interaction, VPemoji);
+        if (summary) embeds.push(summary);
+    }
+
     // show notice if there is one
     if (config.notice && valorantUser) {
         // users shouldn't see the same notice twice
@@ -376,6 +440,103 @@ export const renderOffers = async (shop, interaction, valorantUser, VPemoji, oth
     };
 }
 
+/**
+ * The total price of a shop, how many skins of each rarity it has and how
+ * rare they are compared to other tracked shops (see getShopScore()).
+ */
+export const shopSummaryEmbed = async (shop, interaction, VPemoji) => {
+    const lines = await shopSummaryLines(shop, interaction, VPemoji);
+    if (!lines.length) return null;
+    return {
+        description: lines.join("\n"),
+        color: VAL_COLOR_1
+    };
+}
+
+// e.g. "<Deluxe emoji> ×2  <Premium emoji> ×1", from [skin, how many times] pairs
+const rarityBreakdown = async (skinCounts, interaction) => {
+    const rarityCounts = {};
+    for (const [skin, count] of skinCounts) {
+        if (skin.rarity) rarityCounts[skin.rarity] = (rarityCounts[skin.rarity] || 0) + count;
+    }
+    const rarityParts = [];
+    for (const [uuid, count] of Object.entries(rarityCounts)) {
+        const rarity = await getRarity(uuid);
+        if (!rarity) continue;
+        const icon = await rarityEmoji(rarity.name, rarity.icon, interaction) || rarity.name;
+        rarityParts.push(`${icon} ×${count}`);
+    }
+    return rarityParts.join("  ");
+}
+
+const shopSummaryLines = async (shop, interaction, VPemoji) => {
+    const skins = (await Promise.all(shop.offers.map(uuid => getSkin(uuid)))).filter(skin => skin);
+    if (!skins.length) return [];
+
+    const lines = [];
+
+    const prices = skins.filter(skin => !isDefaultSkin(skin) && skin.price).map(skin => parseInt(skin.price));
+    if (prices.length) {
+        const total = prices.reduce((total, price) => total + price, 0);
+        const money = moneyPrice(interaction, total);
+        lines.push(s(interaction).info.SHOP_SUMMARY_TOTAL.f({ e: VPemoji, v: total }) + (money ? " " + money : ""));
+    }
+
+    const rarities = await rarityBreakdown(skins.map(skin => [skin, 1]), interaction);
+    if (rarities) lines.push(rarities);
+
+    const score = getShopScore(shop.offers);
+    if (score !== null) lines.push(s(interaction).info.SHOP_SCORE.f({ s: score }));
+
+    return lines;
+}
+
+/**
+ * Two daily shops next to each other, with the skins they have in common.
+ *
+ * @param {{name: string, shop: Object}} left
+ * @param {{name: string, shop: Object}} right
+ */
+export const shopCompareEmbed = async (interaction, left, right) => {
+    const VPemoji = await VPEmoji(interaction);
+    const overlap = left.shop.offers.filter(uuid => right.shop.offers.includes(uuid));
+
+    const column = async (side) => {
+        const lines = [];
+        for (const uuid of side.shop.offers) {
+            const skin = await getSkin(uuid);
+            if (!skin) continue;
+            const name = await skinNameAndEmoji(skin, interaction.channel, interaction);
+            const price = isDefaultSkin(skin) ? "0" : skin.price;
+            const line = `${name}${price ? ` ${VPemoji} ${price}` : ""}`;
+            lines.push(overlap.includes(uuid) ? `**${line}** ⭐` : line);
+        }
+        lines.push("", ...await shopSummaryLines(side.shop, interaction, VPemoji));
+        return { name: side.name, value: lines.join("\n").substring(0, 1024), inline: true };
+    }
+
+    const overlapNames = [];
+    for (const uuid of overlap) {
+        const skin = await getSkin(uuid);
+        overlapNames.push(skin ? l(skin.names, interaction) : uuid);
+    }
+
+    return {
+        embeds: [{
+            title: s(interaction).info.SHOP_COMPARE_TITLE,
+            color: VAL_COLOR_1,
+            fields: [
+                await column(left),
+                await column(right),
+                {
+                    name: s(interaction).info.SHOP_COMPARE_OVERLAP,
+                    value: overlapNames.length ? s(interaction).info.SHOP_COMPARE_OVERLAP_SKINS.f({ s: overlapNames.join(", ") }) : s(interaction).info.SHOP_COMPARE_NO_OVERLAP
+                }
+            ]
+        }]
+    };
+}
+
 export const renderAccessoryOffers = async (shop, interaction, valorantUser, KCemoji, id = interaction?.user?.id) => {
 
     if (!shop.success) {
@@ -554,6 +715,8 @@ export const renderBundle = async (bundle, interaction, emoji, includeExpires =
     const slantedDescription = bundle.descriptions ? "*" + l(bundle.descriptions, interaction) + "*\n" : "";
     const strikedBundleBasePrice = bundle.basePrice ? " ~~" + bundle.basePrice + "~~" : "";
     const UnixStamp = bundle.last_seen / 1000 ? `\n_${s(interaction).info.BUNDLE_RELEASED.f({ t: Math.round(bundle.last_seen / 1000) })}_\n` : "";
+    const bundleMoney = bundle.price ? moneyPrice(interaction, bundle.price) : null;
+    const moneySuffix = bundleMoney ? " " + bundleMoney : "";
 
     const isUnindexedBundle = !bundle.items || !bundle.items.length ||
         bundle.names?.["en-US"]?.startsWith("New Bundle") ||
@@ -562,7 +725,7 @@ export const renderBundle = async (bundle, interaction, emoji, includeExpires =
     if (isUnindexedBundle) {
         let desc = `${subName}${slantedDescription}`;
         if (bundle.price) {
-            desc += `${emoji} **${bundle.price}**${strikedBundleBasePrice}`;
+            desc += `${emoji} **${bundle.price}**${strikedBundleBasePrice}${moneySuffix}`;
             if (includeExpires && bundle.expires) {
                 desc += ` *(${(bundle.expires > Date.now() / 1000 ? s(interaction).info.EXPIRES : s(interaction).info.EXPIRED).f({ t: bundle.expires })})*`;
             }
@@ -583,7 +746,7 @@ export const renderBundle = async (bundle, interaction, emoji, includeExpires =
         return { embeds: [embed] };
     }
 
-    let mainDesc = `${subName}${slantedDescription}${UnixStamp}${emoji} **${bundle.price}**${strikedBundleBasePrice}`;
+    let mainDesc = `${subName}${slantedDescription}${UnixStamp}${emoji} **${bundle.price}**${strikedBundleBasePrice}${moneySuffix}`;
     if (includeExpires && bundle.expires) {
         mainDesc += ` *(${(bundle.expires > Date.now() / 1000 ? s(interaction).info.EXPIRES : s(interaction).info.EXPIRED).f({ t: bundle.expires })})*`;
     }
@@ -622,7 +785,8 @@ export const renderNightMarket = async (market, interaction, valorantUser, emoji
         const skin = await getSkin(offer.uuid);
 
         const embed = await skinEmbed(skin, skin.price, interaction, emoji);
-        embed.description = `${emoji} **${offer.nmPrice}**\n${emoji} ~~${offer.realPrice}~~ (-${offer.percent}%)`;
+        const money = moneyPrice(interaction, offer.nmPrice);
+        embed.description = `${emoji} **${offer.nmPrice}**${money ? " " + money : ""}\n${emoji} ~~${offer.realPrice}~~ (-${offer.percent}%)`;
         return embed;
     });
 
@@ -823,7 +987,7 @@ export const skinEmbed = async (skinOrUuid, price, interactionOrId, VPemojiStrin
     if (!skin) {
         return {
             title: typeof skinOrUuid === "string" ? `Unknown Skin (${skinOrUuid.substring(0, 8)})` : "Unknown Skin",
-            description: priceDescription(VPemojiString, price),
+            description: priceDescription(VPemojiString, price, interactionOrId),
             color: VAL_COLOR_2
         };
     }
@@ -839,7 +1003,7 @@ export const skinEmbed = async (skinOrUuid, price, interactionOrId, VPemojiStrin
     return {
         title: await skinNameAndEmoji(skin, interactionOrId?.channel || channel, interactionOrId),
         url: config.linkItemImage ? skin.icon : null,
-        description: priceDescription(VPemojiString, price),
+        description: priceDescription(VPemojiString, price, interactionOrId),
         color: color,
         thumbnail: {
             url: skin.icon
@@ -1969,8 +2133,19 @@ export const ownerMessageEmbed = (messageContent, author) => {
     }
 };
 
-const priceDescription = (VPemojiString, price) => {
-    if (price) return `${VPemojiString} ${price}`;
+const priceDescription = (VPemojiString, price, interaction = null) => {
+    if (!price) return;
+    const money = interaction && moneyPrice(interaction, price);
+    return `${VPemojiString} ${price}` + (money ? ` ${money}` : "");
+}
+
+// the VP price in the user's currency setting, if they chose one
+const moneyPrice = (interactionOrId, vp) => {
+    const currency = getSetting(interactionOrId?.user?.id || interactionOrId, "currency");
+    if (!currency || currency === "None") return null;
+
+    const money = vpToMoney(parseInt(vp), currency);
+    return money && s(interactionOrId).info.MONEY_PRICE.f({ p: money });
 }
 
 const pageButtons = (pageId, userId, current, max) => {
@@ -2030,9 +2205,11 @@ export const switchAccountButtons = (interaction, customId, oneAccountButton = f
     return rows
 }
 
-const alertFieldDescription = async (interaction, channel_id, emojiString, price) => {
+const alertFieldDescription = async (interaction, alert, emojiString, price) => {
+    const channel_id = alert.channel_id;
     if (channel_id === interaction.channelId) {
         if (price) return `${emojiString} ${price}`;
+        if (alert.type) return s(interaction).info.ALERT_IN_CHANNEL.f({ c: channel_id }); // accessories don't have a VP price
         if (config.fetchSkinPrices) return s(interaction).info.SKIN_NOT_FOR_SALE;
         return s(interaction).info.SKIN_PRICES_HIDDEN;
     } else {
@@ -2042,6 +2219,14 @@ const alertFieldDescription = async (interaction, channel_id, emojiString, price
     }
 }
 
+const alertDetails = (interaction, alert) => {
+    let details = "";
+    if (alert.min_discount) details += "\n" + s(interaction).info.ALERT_MIN_DISCOUNT.f({ d: alert.min_discount });
+    if (alert.once) details += "\n" + s(interaction).info.ALERT_ONCE;
+    if (alert.expires_at) details += "\n" + s(interaction).info.ALERT_EXPIRES.f({ t: alert.expires_at });
+    return details;
+}
+
 export const alertsPageEmbed = async (interaction, alerts, pageIndex, emojiString) => {
     const components = switchAccountButtons(interaction, "alerts");
 
@@ -2057,15 +2242,15 @@ export const alertsPageEmbed = async (interaction, alerts, pageIndex, emojiStrin
     if (alerts.length === 1) {
         const alert = alerts[0];
 
-        const skin = await getSkin(alert.uuid);
+        const item = await getAlertItem(alert);
 
         return {
             embeds: [{
                 title: s(interaction).info.ONE_ALERT,
                 color: VAL_COLOR_1,
-                description: `**${await skinNameAndEmoji(skin, interaction.channel, interaction)}**\n${await alertFieldDescription(interaction, alert.channel_id, emojiString, skin.price)}`,
+                description: `**${await alertNameAndEmoji(alert, item, interaction.channel, interaction)}**\n${await alertFieldDescription(interaction, alert, emojiString, item?.price)}${alertDetails(interaction, alert)}`,
                 thumbnail: {
-                    url: skin.icon
+                    url: item?.icon || item?.icons?.large
                 }
             }],
             components: [removeAlertActionRow(interaction.user.id, alert.uuid, s(interaction).info.REMOVE_ALERT_BUTTON)].concat(components),
@@ -2091,10 +2276,10 @@ export const alertsPageEmbed = async (interaction, alerts, pageIndex, emojiStrin
     let n = pageIndex * config.alertsPerPage;
     const alertsToRender = alerts.slice(n, n + config.alertsPerPage);
     for (const alert of alertsToRender) {
-        const skin = await getSkin(alert.uuid);
+        const item = await getAlertItem(alert);
         embed.fields.push({
-            name: `**${n + 1}.** ${await skinNameAndEmoji(skin, interaction.channel, interaction)}`,
-            value: await alertFieldDescription(interaction, alert.channel_id, emojiString, skin.price),
+            name: `**${n + 1}.** ${await alertNameAndEmoji(alert, item, interaction.channel, interaction)}`,
+            value: await alertFieldDescription(interaction, alert, emojiString, item?.price) + alertDetails(interaction, alert),
             inline: alerts.length > 5
         });
         buttons.push(removeAlertButton(interaction.user.id, alert.uuid, `${n + 1}.`));
@@ -2119,6 +2304,408 @@ export const alertsPageEmbed = async (interaction, alerts, pageIndex, emojiStrin
     }
 }
 
+const alertHistoryStores = {
+    daily: "ALERT_HISTORY_DAILY",
+    nightMarket: "ALERT_HISTORY_NIGHT_MARKET",
+    bundle: "ALERT_HISTORY_BUNDLE",
+    accessory: "ALERT_HISTORY_ACCESSORY"
+};
+
+const alertHistoryStatuses = {
+    delivered: "ALERT_HISTORY_DELIVERED",
+    failed: "ALERT_HISTORY_FAILED",
+    inaccessible: "ALERT_HISTORY_INACCESSIBLE"
+};
+
+export const alertHistoryPageEmbed = async (interaction, entries, pageIndex, maxPages, entryCount) => {
+    if (entries.length === 0) return {
+        embeds: [basicEmbed(s(interaction).error.NO_ALERT_HISTORY)]
+    }
+
+    const accounts = readUserJson(interaction.user.id)?.accounts || [];
+    const hideIgn = getSetting(interaction.user.id, "hideIgn");
+    const accountName = (puuid) => {
+        const index = accounts.findIndex(account => account.puuid === puuid);
+        if (index === -1) return s(interaction).info.NO_USERNAME;
+        if (hideIgn) return s(interaction).info.SWITCH_ACCOUNT_BUTTON.f({ n: index + 1 });
+        return accounts[index].username || s(interaction).info.NO_USERNAME;
+    }
+
+    const embed = {
+        title: s(interaction).info.ALERT_HISTORY_TITLE,
+        color: VAL_COLOR_1,
+        footer: {
+            text: s(interaction).info.ALERT_HISTORY_FOOTER.f({ n: entryCount })
+        },
+        fields: []
+    }
+
+    let n = pageIndex * config.alertsPerPage;
+    for (const entry of entries) {
+        const alert = { uuid: entry.itemUuid, type: entry.itemType || undefined };
+        const item = await getAlertItem(alert);
+        const name = item ? await alertNameAndEmoji(alert, item, interaction.channel, interaction) : entry.itemUuid;
+
+        embed.fields.push({
+            name: `**${n + 1}.** ${name}`,
+            value: s(interaction).info.ALERT_HISTORY_ENTRY.f({
+                s: s(interaction).info[alertHistoryStores[entry.store]] || entry.store,
+                u: accountName(entry.puuid),
+                t: Math.floor(entry.timestamp / 1000)
+            }) + "\n" + s(interaction).info[alertHistoryStatuses[entry.status]].f({ c: entry.channelId }),
+            inline: entries.length > 5
+        });
+        n++;
+    }
+
+    return {
+        embeds: [embed],
+        components: maxPages > 1 ? [pageButtons("changealerthistorypage", interaction.user.id, pageIndex, maxPages)] : []
+    }
+}
+
+/**
+ * Render the page of a digest (see processUserAlerts()) for the user's
+ * current account: their shop, followed by what else happened in the stores.
+ */
+export const renderDigest = async (interaction, id, digest, channel = interaction?.channel) => {
+    const json = readUserJson(id);
+    const account = json?.currentAccount;
+    const page = digest.accounts[account];
+    const valorantUser = getUser(id, account);
+
+    const embeds = [];
+    if (page?.shop) {
+        // the digest is first sent without an interaction, by the user's id
+        const rendered = await renderOffers(page.shop, interaction, valorantUser, await VPEmoji(interaction), interaction?.user ? id : null);
+        embeds.push(...rendered.embeds);
+    }
+
+    const accountName = getSetting(id, "hideIgn") ? s(interaction).info.SWITCH_ACCOUNT_BUTTON.f({ n: account }) : valorantUser?.username || s(interaction).info.NO_USERNAME;
+    const summary = {
+        title: s(interaction).info.DIGEST_TITLE.f({ u: accountName }),
+        color: VAL_COLOR_1,
+        fields: []
+    };
+
+    const alertLines = [];
+    for (const match of page?.matches || []) {
+        const item = match.skin ? await getSkin(match.skin) : await getAlertItem(match.alert);
+        const name = match.skin && item ? await skinNameAndEmoji(item, channel, interaction) : await alertNameAndEmoji(match.alert, item, channel, interaction);
+        alertLines.push(s(interaction).info.DIGEST_ALERT.f({ s: name, w: s(interaction).info[alertHistoryStores[match.store]] || match.store, t: match.expires }));
+    }
+    summary.fields.push({
+        name: s(interaction).info.DIGEST_ALERTS,
+        value: alertLines.length ? alertLines.join("\n").substring(0, 1024) : s(interaction).info.DIGEST_NO_ALERTS
+    });
+
+    if (page) {
+        summary.fields.push({
+            name: s(interaction).info.DIGEST_NIGHT_MARKET,
+            value: page.nightMarket ? s(interaction).info.DIGEST_NIGHT_MARKET_OPEN.f({ t: page.nightMarket.expires }) : s(interaction).info.DIGEST_NIGHT_MARKET_CLOSED,
+            inline: true
+        });
+
+        const bundleLines = [];
+        for (const featured of page.bundles) {
+            const bundle = await getBundle(featured.uuid);
+            let line = `- ${bundle ? l(bundle.names, interaction) : featured.uuid}`;
+            if (featured.new) line += " " + s(interaction).info.DIGEST_NEW_BUNDLE;
+            bundleLines.push(line);
+        }
+        if (bundleLines.length) summary.fields.push({
+            name: s(interaction).info.DIGEST_BUNDLES,
+            value: bundleLines.join("\n").substring(0, 1024),
+            inline: true
+        });
+    } else {
+        summary.description = s(interaction).info.DIGEST_NO_PAGE;
+    }
+    embeds.push(summary);
+
+    return {
+        embeds: embeds.slice(0, 10),
+        components: switchAccountButtons(interaction, "digest", true, false, id)
+    };
+}
+
+const MAX_SHOP_HISTORY_DAYS_SHOWN = 25;
+
+/**
+ * Render everything that was in an account's stores on a past day.
+ *
+ * @param {import("../misc/userDatabase.js").ShopHistoryItem[]} items
+ */
+export const shopHistoryDayEmbed = async (interaction, valorantUser, day, items) => {
+    if (!items.length) return {
+        embeds: [basicEmbed(s(interaction).error.SHOP_HISTORY_NO_DAY.f({ d: day }))],
+        flags: [MessageFlags.Ephemeral]
+    };
+
+    const VPemoji = await VPEmoji(interaction);
+    const embeds = [headerEmbed(s(interaction).info.SHOP_HISTORY_HEADER.f({ u: valorantUser.username, d: day }, interaction))];
+
+    for (const item of items.filter(item => item.store === "daily")) {
+        const skin = await getSkin(item.itemUuid);
+        embeds.push(await skinEmbed(skin || item.itemUuid, item.cost ?? skin?.price, interaction, VPemoji));
+    }
+
+    const nightMarketLines = [];
+    for (const item of items.filter(item => item.store === "nightMarket")) {
+        const skin = await getSkin(item.itemUuid);
+        const name = skin ? await skinNameAndEmoji(skin, interaction.channel, interaction) : item.itemUuid;
+        nightMarketLines.push(`${name} ${VPemoji} **${item.cost}** (-${item.discount}%)`);
+    }
+    if (nightMarketLines.length) embeds.push({
+        title: s(interaction).info.ALERT_HISTORY_NIGHT_MARKET,
+        description: nightMarketLines.join("\n"),
+        color: VAL_COLOR_3
+    });
+
+    const accessoryLines = [];
+    const KCemoji = await KCEmoji(interaction) || s(interaction).info.KCREDIT;
+    for (const item of items.filter(item => item.store === "accessory")) {
+        const accessory = await getItem(item.itemUuid, item.itemType);
+        accessoryLines.push(`${accessory ? l(accessory.names, interaction) : item.itemUuid} ${KCemoji} ${item.cost}`);
+    }
+    if (accessoryLines.length) embeds.push({
+        title: s(interaction).info.ALERT_HISTORY_ACCESSORY,
+        description: accessoryLines.join("\n"),
+        color: VAL_COLOR_1
+    });
+
+    return { embeds };
+}
+
+/**
+ * Render every day a skin was in one of an account's stores.
+ *
+ * @param {{day: string, store: string, discount: number|null}[]} appearances most recent first
+ */
+export const shopHistoryItemEmbed = async (interaction, skin, appearances) => {
+    const name = await skinNameAndEmoji(skin, interaction.channel, interaction);
+    if (!appearances.length) return {
+        embeds: [basicEmbed(s(interaction).error.SHOP_HISTORY_NEVER.f({ s: name }))]
+    };
+
+    const lines = appearances.slice(0, MAX_SHOP_HISTORY_DAYS_SHOWN).map(appearance => {
+        let line = `- **${appearance.day}**: ${s(interaction).info[alertHistoryStores[appearance.store]] || appearance.store}`;
+        if (appearance.discount) line += ` (-${appearance.discount}%)`;
+        return line;
+    });
+    if (appearances.length > MAX_SHOP_HISTORY_DAYS_SHOWN) lines.push(s(interaction).info.SHOP_HISTORY_MORE.f({ n: appearances.length - MAX_SHOP_HISTORY_DAYS_SHOWN }));
+
+    return {
+        embeds: [{
+            title: l(skin.names, interaction),
+            description: s(interaction).info.SHOP_HISTORY_ITEM_COUNT.f({ n: new Set(appearances.map(appearance => appearance.day)).size }) + "\n\n" + lines.join("\n"),
+            color: VAL_COLOR_1,
+            thumbnail: { url: skin.icon }
+        }]
+    };
+}
+
+const budgetLines = (lines) => {
+    let value = "";
+    for (const line of lines) {
+        if (value.length + line.length + 1 > 1000) return value + "\n...";
+        value += (value ? "\n" : "") + line;
+    }
+    return value;
+}
+
+/**
+ * What a game update added, and the prices that changed since.
+ *
+ * @param {Object} patch from getPatch() in valorant/cache.js, null if no update was seen yet
+ */
+export const patchEmbed = async (interaction, patch) => {
+    if (!patch) return {
+        embeds: [basicEmbed(s(interaction).error.NO_PATCH)]
+    };
+
+    const names = async (uuids, getter, name = item => l(item.names, interaction)) => {
+        const lines = [];
+        for (const uuid of uuids) {
+            const item = await getter(uuid);
+            if (item) lines.push("- " + name(item));
+        }
+        return lines;
+    }
+
+    const fields = [];
+    const addField = (key, lines) => {
+        if (lines.length) fields.push({ name: s(interaction).info[key].f({ n: lines.length }), value: budgetLines(lines) });
+    }
+    addField("PATCH_NEW_SKINS", await names(patch.newSkins, getSkin));
+    addField("PATCH_NEW_BUNDLES", await names(patch.newBundles, getBundle));
+    addField("PATCH_NEW_CARDS", await names(patch.newCards, getCard));
+    addField("PATCH_NEW_TITLES", await names(patch.newTitles, getTitle, title => l(title.text, interaction) || l(title.names, interaction)));
+
+    const VPemoji = await VPEmoji(interaction);
+    const priceLines = [];
+    for (const { uuid, type, before, after } of patch.changedPrices) {
+        const item = type === "bundle" ? await getBundle(uuid) : await getSkin(uuid);
+        if (item) priceLines.push(`- ${l(item.names, interaction)}: ${VPemoji} ~~${before}~~ **${after}**`);
+    }
+    addField("PATCH_CHANGED_PRICES", priceLines);
+
+    return {
+        embeds: [{
+            title: s(interaction).info.PATCH_TITLE.f({ v: patch.version || "?" }),
+            description: s(interaction).info.PATCH_DETECTED.f({ t: Math.round(patch.detectedAt / 1000) }) + (fields.length ? "" : "\n\n" + s(interaction).info.PATCH_NOTHING_NEW),
+            color: VAL_COLOR_1,
+            fields
+        }]
+    };
+}
+
+const budgetFields = (interaction, plan, emoji) => {
+    const itemLine = (item) => `${item.name} (${item.store}) ${emoji} **${item.price}**`;
+    const fields = [];
+
+    fields.push({
+        name: s(interaction).info.BUDGET_AFFORDABLE,
+        value: plan.affordable.length ? budgetLines(plan.affordable.map(itemLine)) : s(interaction).info.BUDGET_NOTHING_AFFORDABLE
+    });
+    if (plan.missing.length) fields.push({
+        name: s(interaction).info.BUDGET_MISSING,
+        value: budgetLines(plan.missing.map(item => itemLine(item) + " " + s(interaction).info.BUDGET_NEEDED.f({ e: emoji, n: item.needed })))
+    });
+    if (plan.combination.items.length > 1) fields.push({
+        name: s(interaction).info.BUDGET_COMBINATION,
+        value: budgetLines([
+            ...plan.combination.items.map(item => `- ${item.name}`),
+            s(interaction).info.BUDGET_COMBINATION_TOTAL.f({ e: emoji, t: plan.combination.total, l: plan.combination.left })
+        ])
+    });
+
+    return fields;
+}
+
+/**
+ * What the user can buy in their shop, Night Market, accessory store and
+ * among the skins they have alerts for, with their current balance.
+ */
+export const budgetEmbed = async (interaction, valorantUser, balance, offers, market, alerts) => {
+    const store = (key) => s(interaction).info[alertHistoryStores[key]];
+    const skinItems = [];
+    const seen = new Set();
+
+    for (const uuid of offers.offers || []) {
+        const skin = await getSkin(uuid);
+        if (!skin || isDefaultSkin(skin)) continue;
+        skinItems.push({ uuid, name: await skinNameAndEmoji(skin, interaction.channel, interaction), price: parseInt(skin.price), store: store("daily") });
+        seen.add(uuid);
+    }
+
+    for (const offer of market?.offers || []) {
+        const skin = await getSkin(offer.uuid);
+        if (!skin) continue;
+        skinItems.push({ uuid: offer.uuid, name: await skinNameAndEmoji(skin, interaction.channel, interaction), price: offer.nmPrice, store: store("nightMarket") });
+        seen.add(offer.uuid);
+    }
+
+    for (const alert of alerts.filter(alert => !alert.type && !seen.has(alert.uuid))) {
+        const skin = await getSkin(alert.uuid);
+        if (!skin) continue;
+        skinItems.push({ uuid: alert.uuid, name: await skinNameAndEmoji(skin, interaction.channel, interaction), price: parseInt(skin.price), store: s(interaction).info.BUDGET_WATCHED });
+        seen.add(alert.uuid);
+    }
+
+    const accessoryItems = [];
+    for (const offer of offers.accessory?.offers || []) {
+        const reward = offer.rewards[0];
+        const accessory = reward && await getItem(reward.ItemID, reward.ItemTypeID);
+        accessoryItems.push({ uuid: reward?.ItemID, name: accessory ? l(accessory.names, interaction) : reward?.ItemID, price: offer.cost, store: store("accessory") });
+    }
+
+    const VPemoji = await VPEmoji(interaction);
+    const KCemoji = await KCEmoji(interaction) || s(interaction).info.KCREDIT;
+
+    const embeds = [{
+        title: s(interaction).info.BUDGET_HEADER.f({ u: valorantUser.username }, interaction),
+        description: s(interaction).info.BUDGET_BALANCE.f({ e: VPemoji, n: balance.vp }),
+        color: VAL_COLOR_1,
+        fields: budgetFields(interaction, planBudget(skinItems, balance.vp), VPemoji)
+    }];
+
+    if (accessoryItems.length) embeds.push({
+        title: s(interaction).info.ALERT_HISTORY_ACCESSORY,
+        description: s(interaction).info.BUDGET_BALANCE.f({ e: KCemoji, n: balance.kc }),
+        color: VAL_COLOR_3,
+        fields: budgetFields(interaction, planBudget(accessoryItems, balance.kc), KCemoji)
+    });
+
+    return { embeds };
+}
+
+export const guildWatchEmbed = async (interaction, watch) => {
+    if (!watch?.skins.length) return {
+        embeds: [basicEmbed(s(interaction).error.GUILD_WATCH_EMPTY)],
+        flags: [MessageFlags.Ephemeral]
+    }
+
+    const skinNames = [];
+    for (const uuid of watch.skins) {
+        const skin = await getSkin(uuid);
+        skinNames.push("- " + (skin ? await skinNameAndEmoji(skin, interaction.channel, interaction) : uuid));
+    }
+
+    return {
+        embeds: [{
+            title: s(interaction).info.GUILD_WATCH_TITLE,
+            description: s(interaction).info.GUILD_WATCH_CHANNEL.f({ c: watch.channelId }) + "\n\n" + skinNames.join("\n"),
+            color: VAL_COLOR_1,
+            footer: {
+                text: s(interaction).info.GUILD_WATCH_FOOTER.f({ s: settingName("guildWatch", interaction) })
+            }
+        }]
+    }
+}
+
+// webhook urls contain a secret token, only ever show where they point to
+const maskWebhookUrl = (url) => {
+    try {
+        return new URL(url).origin + "/...";
+    } catch {
+        return "...";
+    }
+}
+
+export const webhooksEmbed = (interaction, targets) => {
+    if (!targets.length) return {
+        embeds: [basicEmbed(s(interaction).error.NO_WEBHOOKS)],
+        flags: [MessageFlags.Ephemeral]
+    }
+
+    const fields = targets.map(target => {
+        let status;
+        if (target.disabled) status = s(interaction).info.WEBHOOK_DISABLED.f({ n: target.failures });
+        else if (target.failures) status = s(interaction).info.WEBHOOK_FAILING.f({ n: target.failures });
+        else if (target.lastDeliveredAt) status = s(interaction).info.WEBHOOK_WORKING.f({ t: Math.floor(target.lastDeliveredAt / 1000) });
+        else status = s(interaction).info.WEBHOOK_UNUSED;
+        if (target.lastError) status += "\n" + s(interaction).info.WEBHOOK_LAST_ERROR.f({ e: escapeMarkdown(target.lastError.slice(0, 200)) });
+
+        return {
+            name: `#${target.id} ${target.type === "discord" ? s(interaction).info.WEBHOOK_TYPE_DISCORD : s(interaction).info.WEBHOOK_TYPE_HTTP}`,
+            value: `\`${maskWebhookUrl(target.url)}\` ${s(interaction).info["WEBHOOK_EVENTS_" + target.events.toUpperCase()]}\n${status}`
+        }
+    });
+
+    return {
+        embeds: [{
+            title: s(interaction).info.WEBHOOKS_TITLE,
+            color: VAL_COLOR_1,
+            fields: fields,
+            footer: {
+                text: s(interaction).info.WEBHOOKS_FOOTER
+            }
+        }],
+        flags: [MessageFlags.Ephemeral]
+    }
+}
+
 export const alertTestResponse = async (interaction, success) => {
     if (success) {
         await interaction.followUp({
@@ -2131,7 +2718,11 @@ export const alertTestResponse = async (interaction, success) => {
     }
 }
 
-export const allStatsEmbed = async (interaction, stats, pageIndex = 0) => {
+/**
+ * @param {Object} stats from getOverallStats() in misc/stats.js
+ * @param {"count"|"absent"} sort the one the stats were fetched with
+ */
+export const allStatsEmbed = async (interaction, stats, pageIndex = 0, sort = "count") => {
     const skinCount = Object.keys(stats?.items || {}).length;
 
     if (skinCount === 0) return {
@@ -2144,7 +2735,8 @@ export const allStatsEmbed = async (interaction, stats, pageIndex = 0) => {
     if (pageIndex >= maxPages) pageIndex = 0;
 
     const skinsToDisplay = Object.keys(stats.items).slice(pageIndex * config.statsPerPage, pageIndex * config.statsPerPage + config.statsPerPage);
-    const embeds = [basicEmbed(s(interaction).info.STATS_HEADER.f({ c: stats.shopsIncluded || 0, p: pageIndex + 1, t: maxPages }))];
+    const header = sort === "absent" ? s(interaction).info.STATS_HEADER_ABSENT : s(interaction).info.STATS_HEADER;
+    const embeds = [basicEmbed(header.f({ c: stats.shopsIncluded || 0, p: pageIndex + 1, t: maxPages }))];
     for (const uuid of skinsToDisplay) {
         const skin = await getSkin(uuid);
         const statsForSkin = getStatsFor(uuid);
@@ -2153,7 +2745,70 @@ export const allStatsEmbed = async (interaction, stats, pageIndex = 0) => {
 
     return {
         embeds: embeds,
-        components: [pageButtons("changestatspage", interaction.user.id, pageIndex, maxPages)]
+        components: [pageButtons(sort === "absent" ? "changeabsentstatspage" : "changestatspage", interaction.user.id, pageIndex, maxPages)]
+    }
+}
+
+// how much more (or less) often than its share of the catalog a group has to be seen to get an arrow
+const BREAKDOWN_SKEW = 1.25;
+
+const breakdownLine = (interaction, name, group) => {
+    let arrow = "";
+    if (group.share > group.catalogShare * BREAKDOWN_SKEW) arrow = " 🔺";
+    else if (group.share < group.catalogShare / BREAKDOWN_SKEW) arrow = " 🔻";
+    return s(interaction).info.STATS_BREAKDOWN_LINE.f({ n: name, s: group.perShop, p: group.share, c: group.catalogShare }) + arrow;
+}
+
+/**
+ * The tracked shops grouped by weapon or by rarity, compared to the whole skin catalog.
+ *
+ * @param {Object} stats from getOverallStats() in misc/stats.js
+ * @param {"weapon"|"rarity"} by
+ */
+// valorantUser is given when the stats are of that account's own shops
+export const statsBreakdownEmbed = async (interaction, stats, by, valorantUser = null) => {
+    if (!Object.keys(stats?.items || {}).length) return {
+        embeds: [basicEmbed(valorantUser ? s(interaction).error.NO_SHOP_HISTORY :
+            config.trackStoreStats ? s(interaction).error.EMPTY_STATS : s(interaction).error.STATS_DISABLED)]
+    }
+
+    // default and battlepass skins are never in the shop, and the latter have no rarity
+    const skins = (await getAllSkins()).filter(skin => skin && !isDefaultSkin(skin) && skin.rarity);
+    const breakdown = getStatsBreakdown(stats, skins, skin => by === "weapon" ? skin.weapon : skin.rarity);
+
+    const embed = {
+        title: s(interaction).info[by === "weapon" ? "STATS_BY_WEAPON" : "STATS_BY_RARITY"],
+        description: (valorantUser ? s(interaction).info.PERSONAL_STATS_HEADER.f({ u: valorantUser.username }, interaction) + "\n" : "") +
+            s(interaction).info.STATS_BREAKDOWN_HEADER.f({ c: stats.shopsIncluded || 0 }),
+        color: VAL_COLOR_1,
+        fields: []
+    };
+
+    if (by === "weapon") {
+        for (const category of WEAPON_CATEGORIES) {
+            const lines = [];
+            for (const weaponUuid of category.weapons) {
+                if (!breakdown[weaponUuid]) continue;
+                const weapon = await getWeapon(weaponUuid);
+                lines.push(breakdownLine(interaction, weapon ? l(weapon.names, interaction) : WeaponType[weaponUuid], breakdown[weaponUuid]));
+            }
+            if (lines.length) embed.fields.push({
+                name: `${category.emoji} ${s(interaction).info[category.nameKey] || category.defaultName}`,
+                value: lines.join("\n")
+            });
+        }
+    } else {
+        const lines = [];
+        for (const [uuid, group] of Object.entries(breakdown)) {
+            const rarity = await getRarity(uuid);
+            const name = rarity ? `${await rarityEmoji(rarity.name, rarity.icon, interaction) || ""} ${rarity.name}`.trim() : RarityTier[uuid] || uuid;
+            lines.push(breakdownLine(interaction, name, group));
+        }
+        embed.description += "\n\n" + lines.join("\n");
+    }
+
+    return {
+        embeds: [embed]
     }
 }
 
@@ -2165,6 +2820,15 @@ export const statsForSkinEmbed = async (skin, stats, interaction) => {
         const percentage = Math.round(stats.count / (stats.shopsIncluded || 1) * 100 * 100) / 100;
         const crownEmoji = stats.rank[0] === 1 || stats.rank[0] === stats.rank[1] ? ':crown: ' : '';
         description = s(interaction).info.STATS_DESCRIPTION.f({ c: crownEmoji, r: stats.rank[0], t: stats.rank[1], p: percentage });
+        description += "\n" + s(interaction).info.STATS_CHANCE.f({ w: stats.chance7 || 0, m: stats.chance30 || 0 });
+    }
+
+    // the last time it was seen is kept even once the rest of its stats expired
+    if (stats?.lastSeen) {
+        description += "\n" + (stats.daysSince === 0 ?
+            s(interaction).info.STATS_SEEN_TODAY :
+            s(interaction).info.STATS_LAST_SEEN.f({ d: stats.daysSince, l: stats.lastSeen }));
+        if (stats.longestGap) description += "\n" + s(interaction).info.STATS_LONGEST_GAP.f({ g: stats.longestGap });
     }
 
     return {
@@ -2177,6 +2841,73 @@ export const statsForSkinEmbed = async (skin, stats, interaction) => {
     }
 }
 
+const MAX_PERSONAL_STATS_MONTHS = 6;
+
+const personalStatsDescription = (interaction, stats) => {
+    if (!stats.count) return s(interaction).info.PERSONAL_STATS_NEVER;
+    return s(interaction).info.PERSONAL_STATS_DESCRIPTION.f({ n: stats.count, p: stats.percentage }) + "\n" +
+        (stats.daysSince === 0 ? s(interaction).info.PERSONAL_STATS_TODAY : s(interaction).info.PERSONAL_STATS_DAYS_AGO.f({ d: stats.daysSince, l: stats.lastSeen }));
+}
+
+/**
+ * The skins that were in one account's own shop, most seen first, after a header
+ * with how many shops that is and the rarities month by month.
+ *
+ * @param {Object} stats from getPersonalStats() in misc/stats.js
+ */
+export const personalStatsEmbed = async (interaction, valorantUser, stats, pageIndex = 0) => {
+    if (!stats.shopsIncluded) return {
+        embeds: [basicEmbed(s(interaction).error.NO_SHOP_HISTORY)]
+    }
+
+    const maxPages = Math.max(Math.ceil(stats.items.length / config.statsPerPage), 1);
+
+    if (pageIndex < 0) pageIndex = maxPages - 1;
+    if (pageIndex >= maxPages) pageIndex = 0;
+
+    const header = {
+        title: s(interaction).info.PERSONAL_STATS_HEADER.f({ u: valorantUser.username }, interaction),
+        description: s(interaction).info.PERSONAL_STATS_SHOPS.f({ c: stats.shopsIncluded, f: stats.firstDay, l: stats.lastDay, p: pageIndex + 1, t: maxPages }),
+        color: VAL_COLOR_1,
+        fields: []
+    };
+    for (const { month, items } of stats.months.slice(0, MAX_PERSONAL_STATS_MONTHS)) {
+        const skinCounts = [];
+        for (const [uuid, count] of Object.entries(items)) {
+            const skin = await getSkin(uuid);
+            if (skin) skinCounts.push([skin, count]);
+        }
+        const rarities = await rarityBreakdown(skinCounts, interaction);
+        if (rarities) header.fields.push({ name: month, value: rarities, inline: true });
+    }
+
+    const embeds = [header];
+    for (const item of stats.items.slice(pageIndex * config.statsPerPage, pageIndex * config.statsPerPage + config.statsPerPage)) {
+        const skin = await getSkin(item.uuid);
+        if (!skin) continue;
+        embeds.push(await personalStatsForSkinEmbed(skin, item, interaction));
+    }
+
+    return {
+        embeds: embeds,
+        components: [pageButtons("changepersonalstatspage", interaction.user.id, pageIndex, maxPages)]
+    }
+}
+
+/**
+ * @param {Object} stats from getPersonalStatsFor() in misc/stats.js, or an item of getPersonalStats()
+ */
+export const personalStatsForSkinEmbed = async (skin, stats, interaction) => {
+    return {
+        title: await skinNameAndEmoji(skin, interaction.channel, interaction),
+        description: personalStatsDescription(interaction, stats),
+        color: VAL_COLOR_2,
+        thumbnail: {
+            url: skin.icon
+        }
+    }
+}
+
 export const accountsListEmbed = (interaction, userJson) => {
     const fields = [];
     for (const [i, account] of Object.entries(userJson.accounts)) {
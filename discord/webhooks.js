@@ -0,0 +1,309 @@
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import config from "../misc/config.js";
+import { l, s } from "../misc/languages.js";
+import { wait } from "../misc/util.js";
+import { getSetting } from "../misc/settings.js";
+import { getDeliveryTargets, recordDeliveryResult } from "../misc/userDatabase.js";
+import { getUser } from "../valorant/auth.js";
+import { getSkin } from "../valorant/cache.js";
+import { getAlertItem, VAL_COLOR_1 } from "./embed.js";
+
+/* Webhook payload, sent as JSON to "http" delivery targets: {
+ *     version: WEBHOOK_PAYLOAD_VERSION
+ *     event: "alert", "dailyShop" or "test"
+ *     timestamp: unix timestamp (ms) of when the event happened
+ *     user: {
+ *         id: discord user id
+ *         account: riot name#tag of the account, null if the user hides it (hideIgn)
+ *     }
+ *     expires?: unix timestamp (seconds) of when the daily shop resets
+ *     items: [{
+ *         uuid: skin, bundle or accessory uuid
+ *         type: "skin", "bundle", "buddy", "card", "spray", "title" or "flex"
+ *         name: english name of the item
+ *         price: in VP (KC for accessories), null if unknown
+ *         icon: image url, null if there isn't one
+ *         store?: for alerts, "daily", "nightMarket", "bundle" or "accessory"
+ *         discount?: for night market alerts, the % off
+ *         alert?: for alerts, the uuid of the alert that matched
+ *         expires?: for alerts, unix timestamp (seconds) of when the offer is gone
+ *     }]
+ * }
+ * Discord webhooks get the same information as embeds instead.
+ * Adding fields is fine, renaming or removing any means bumping the version.
+ */
+export const WEBHOOK_PAYLOAD_VERSION = 1;
+
+export const isDiscordWebhook = (url) => /^https:\/\/(?:(?:canary|ptb)\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+\/?$/.test(url);
+
+// loopback, private, link-local, cloud metadata... addresses that users shouldn't be able to make the bot talk to
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]]) {
+    blockedAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+    blockedAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+export const isBlockedAddress = (address) => {
+    if (config.webhookAllowPrivateHosts) return false;
+
+    // IPv4 addresses mapped into IPv6, e.g. ::ffff:127.0.0.1
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) address = mapped[1];
+
+    const family = net.isIP(address);
+    if (!family) return true;
+    return blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+class BlockedAddressError extends Error {
+    constructor(hostname) {
+        super(`${hostname} resolves to an address that isn't allowed`);
+        this.code = "EBLOCKEDADDRESS";
+    }
+}
+
+// dns.lookup() that refuses blocked addresses, used when connecting so that
+// the address checked is the one actually connected to (no DNS rebinding)
+const safeLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) return callback(new BlockedAddressError(hostname));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const resolvesToAllowedAddress = (hostname) => new Promise(resolve => {
+    safeLookup(hostname.replace(/^\[|\]$/g, ""), {}, err => resolve(!err));
+});
+
+/**
+ * @param {string} url
+ * @returns {Promise<string|null>} the key of the error string if the url can't be used
+ */
+export const webhookUrlError = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return "WEBHOOK_INVALID_URL";
+    }
+
+    if (parsed.protocol !== "https:" && !(parsed.protocol === "http:" && config.webhookAllowHttp)) return "WEBHOOK_INVALID_URL";
+    if (!await resolvesToAllowedAddress(parsed.hostname)) return "WEBHOOK_BLOCKED_HOST";
+    return null;
+}
+
+// what is stored and shown to the user about a failed attempt: never anything the endpoint sent back
+const deliveryError = (e) => {
+    if (e.code === "EBLOCKEDADDRESS") return "Address not allowed";
+    if (e.code === "ETIMEDOUT") return "Timed out";
+    return "Could not connect";
+}
+
+const postJson = (url, body) => {
+    return new Promise((resolve, reject) => {
+        // node doesn't call lookup for IP addresses
+        const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+        if (net.isIP(hostname) && isBlockedAddress(hostname)) return reject(new BlockedAddressError(hostname));
+
+        const payload = JSON.stringify(body);
+        const req = (url.startsWith("https:") ? https : http).request(url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(payload),
+                "User-Agent": "SkinPeek (https://github.com/giorgi-o/SkinPeek)"
+            },
+            timeout: config.webhookTimeout,
+            lookup: safeLookup
+        }, resp => {
+            clearTimeout(deadline);
+            // nothing from the body is used, don't let the endpoint make us read it
+            resp.destroy();
+            resolve({
+                statusCode: resp.statusCode,
+                headers: resp.headers
+            });
+        });
+        const timedOut = () => req.destroy(Object.assign(new Error(`Timed out after ${config.webhookTimeout}ms`), { code: "ETIMEDOUT" }));
+        // the timeout option only counts idle time, an endpoint sending a byte now and then would never time out
+        const deadline = setTimeout(timedOut, config.webhookTimeout);
+        req.on('timeout', timedOut);
+        req.on('error', e => {
+            clearTimeout(deadline);
+            reject(e);
+        });
+        req.write(payload);
+        req.end();
+    });
+}
+
+/**
+ * POST the body, retrying with exponential backoff on network errors,
+ * rate limits and server errors. Other 4xx responses aren't retried.
+ * The host is checked again on every attempt, see safeLookup().
+ *
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const postWithRetries = async (url, body) => {
+    let error;
+    for (let attempt = 0; attempt <= config.webhookRetries; attempt++) {
+        if (attempt > 0) await wait(config.webhookRetryDelay * 2 ** (attempt - 1));
+
+        try {
+            const res = await postJson(url, body);
+            if (res.statusCode >= 200 && res.statusCode < 300) return { success: true };
+
+            error = `HTTP ${res.statusCode}`;
+            if (res.statusCode === 429) {
+                const retryAfter = parseFloat(res.headers["retry-after"]);
+                if (retryAfter) await wait(Math.min(retryAfter * 1000, config.webhookRetryDelay * 2 ** config.webhookRetries));
+            } else if (res.statusCode < 500) break;
+        } catch (e) {
+            console.error(`Webhook POST to ${new URL(url).host} failed: ${e.message || e}`);
+            error = deliveryError(e);
+            if (e.code === "EBLOCKEDADDRESS") break;
+        }
+    }
+    return { success: false, error };
+}
+
+const itemEmbed = (item, user) => {
+    let description = item.price ? `${item.price} ${item.store === "accessory" ? "KC" : "VP"}` : "";
+    if (item.discount) description += ` (-${item.discount}%)`;
+    if (item.expires) description += "\n" + s(user.id).info.WEBHOOK_OFFER_EXPIRES.f({ t: item.expires });
+
+    return {
+        title: item.name,
+        description: description || undefined,
+        color: VAL_COLOR_1,
+        thumbnail: item.icon ? { url: item.icon } : undefined
+    };
+}
+
+/**
+ * Turn a payload into a message for a discord webhook.
+ */
+export const discordWebhookMessage = (payload) => {
+    const user = payload.user;
+    const account = user.account || s(user.id).info.WEBHOOK_HIDDEN_ACCOUNT;
+
+    let header;
+    if (payload.event === "alert") header = s(user.id).info.WEBHOOK_ALERT_HEADER.f({ u: account });
+    else if (payload.event === "dailyShop") header = s(user.id).info.SHOP_HEADER.f({ u: account, t: payload.expires });
+    else header = s(user.id).info.WEBHOOK_TEST;
+
+    return {
+        username: "SkinPeek",
+        content: header,
+        embeds: payload.items.slice(0, 10).map(item => itemEmbed(item, user))
+    };
+}
+
+/**
+ * Deliver a payload to one target, and keep count of its failures.
+ *
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const deliverToTarget = async (target, payload) => {
+    const body = target.type === "discord" ? discordWebhookMessage(payload) : payload;
+    const result = await postWithRetries(target.url, body);
+
+    recordDeliveryResult(target.id, result.success, result.error, config.webhookMaxFailures);
+    if (!result.success) console.error(`Could not deliver ${payload.event} webhook #${target.id} for user ${target.userId}: ${result.error}`);
+    return result;
+}
+
+const webhookPayload = (id, account, event, items, extra = {}) => {
+    const valorantUser = getUser(id, account);
+    return {
+        version: WEBHOOK_PAYLOAD_VERSION,
+        event,
+        timestamp: Date.now(),
+        user: {
+            id,
+            account: valorantUser && !getSetting(id, "hideIgn") ? valorantUser.username : null
+        },
+        ...extra,
+        items
+    };
+}
+
+const itemInfo = (item, type) => ({
+    uuid: item.uuid,
+    type,
+    name: l(item.names),
+    price: item.price || null,
+    icon: item.icon || item.icons?.large || item.displayIcon || null
+});
+
+// deliveries waiting to be made, chained per target so that a slow
+// endpoint only holds up itself and not the alert check or other targets
+const targetQueues = new Map();
+
+const queueDelivery = (target, payload) => {
+    const delivery = (targetQueues.get(target.id) || Promise.resolve())
+        .then(() => deliverToTarget(target, payload))
+        .catch(e => console.error(`Error while delivering to webhook #${target.id}:`, e))
+        .finally(() => {
+            if (targetQueues.get(target.id) === delivery) targetQueues.delete(target.id);
+        });
+    targetQueues.set(target.id, delivery);
+}
+
+// resolves once every queued delivery was attempted
+export const webhookDeliveriesDone = () => Promise.all(targetQueues.values());
+
+/**
+ * Send alert matches (same format as sendStoreAlert(), plain alerts as
+ * {alert, expires}) to every webhook the user registered for alerts.
+ */
+export const sendAlertWebhooks = async (id, account, matches) => {
+    const targets = activeTargets(id, "alerts");
+    if (!targets.length || !matches.length) return;
+
+    const items = [];
+    for (const { alert, store, skin, offer, expires } of matches) {
+        const item = skin ? await getSkin(skin) : await getAlertItem(alert);
+        if (!item) continue;
+
+        const info = itemInfo(item, skin || !alert.type ? "skin" : alert.type);
+        if (offer?.nmPrice) info.price = offer.nmPrice;
+        if (offer?.cost) info.price = offer.cost;
+        if (offer?.percent) info.discount = offer.percent;
+        items.push({ ...info, store, alert: alert.uuid, expires });
+    }
+    if (!items.length) return;
+
+    const payload = webhookPayload(id, account, "alert", items);
+    for (const target of targets) queueDelivery(target, payload);
+}
+
+export const sendDailyShopWebhooks = async (id, account, shop) => {
+    const targets = activeTargets(id, "dailyShop");
+    if (!targets.length) return;
+
+    const items = [];
+    for (const uuid of shop.offers) {
+        const skin = await getSkin(uuid);
+        if (skin) items.push(itemInfo(skin, "skin"));
+    }
+
+    const payload = webhookPayload(id, account, "dailyShop", items, { expires: shop.expires });
+    for (const target of targets) queueDelivery(target, payload);
+}
+
+export const sendTestWebhook = async (id, target) => {
+    return await deliverToTarget(target, webhookPayload(id, null, "test", []));
+}
+
+const activeTargets = (id, events) => getDeliveryTargets(id).filter(target => !target.disabled && (target.events === "all" || target.events === events));
+
+export const hasWebhookTargets = (id, events) => activeTargets(id, events).length > 0;
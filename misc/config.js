@@ -54,12 +54,25 @@ export const loadConfig = (filename = "config.json", saveAfterLoad = true) => {
     applyConfig(loadedConfig, "linkItemImage", true);
 
     applyConfig(loadedConfig, "refreshSkins", "10 0 0 * * *");
+    applyConfig(loadedConfig, "scheduledDailyShops", "30 */5 * * * *");
+    applyConfig(loadedConfig, "checkOwnedAlerts", "0 0 12 * * 1");
+    applyConfig(loadedConfig, "retryFailedDeliveries", "15 * * * * *");
     applyConfig(loadedConfig, "checkGameVersion", "*/15 * * * *");
     applyConfig(loadedConfig, "refreshPrices", "*/30 * * * *");
     applyConfig(loadedConfig, "updateUserAgent", "*/15 * * * *");
     applyConfig(loadedConfig, "delayBetweenAlerts", 5 * 1000);
     applyConfig(loadedConfig, "alertConcurrency", 1); // 1 = sequential (safe default); >1 enables parallel alert checks via p-limit
     applyConfig(loadedConfig, "alertsPerPage", 10);
+    applyConfig(loadedConfig, "alertHistoryDays", 30);
+    applyConfig(loadedConfig, "maxWebhooksPerUser", 3);
+    applyConfig(loadedConfig, "webhookAllowHttp", false);
+    applyConfig(loadedConfig, "webhookAllowPrivateHosts", false);
+    applyConfig(loadedConfig, "webhookTimeout", 10 * 1000);
+    applyConfig(loadedConfig, "webhookRetries", 3);
+    applyConfig(loadedConfig, "webhookRetryDelay", 2 * 1000);
+    applyConfig(loadedConfig, "webhookMaxFailures", 10);
+    applyConfig(loadedConfig, "outboxRetryDelay", 60 * 1000);
+    applyConfig(loadedConfig, "outboxMaxAttempts", 5);
     applyConfig(loadedConfig, "careerCacheExpiration", 10 * 60 * 1000);
     applyConfig(loadedConfig, "emojiCacheExpiration", 10 * 1000);
     applyConfig(loadedConfig, "loadoutCacheExpiration", 10 * 60 * 1000);
@@ -76,6 +89,10 @@ export const loadConfig = (filename = "config.json", saveAfterLoad = true) => {
     applyConfig(loadedConfig, "trackStoreStats", true);
     applyConfig(loadedConfig, "statsExpirationDays", 14);
     applyConfig(loadedConfig, "statsPerPage", 8);
+    applyConfig(loadedConfig, "trackShopHistory", true);
+    applyConfig(loadedConfig, "shopSummary", true);
+    applyConfig(loadedConfig, "currencies", {});
+    applyConfig(loadedConfig, "announcePatches", true);
     applyConfig(loadedConfig, "shardReadyTimeout", 60 * 1000);
     applyConfig(loadedConfig, "autoDeployCommands", true);
     applyConfig(loadedConfig, "ownerId", "");
@@ -1,5 +1,6 @@
 import { getUserFromDb, saveUserToDb } from "./userDatabase.js";
 import { discLanguageNames, s, setSettingsProvider } from "./languages.js";
+import config from "./config.js";
 
 export const settings = {
     dailyShop: {
@@ -18,10 +19,23 @@ export const settings = {
         values: [true, false],
         default: false
     },
+    dailyShopTime: {
+        render: (value, interaction) => value === "Reset" ? s(interaction).settings.AT_RESET : `${String(value).padStart(2, "0")}:00`,
+        values: ["Reset", ...Array(24).keys()],
+        default: "Reset"
+    },
+    timezone: { // set with /settings timezone, there are too many to choose from a dropdown
+        default: "UTC"
+    },
     pingOnAutoDailyShop: {
         values: [true, false],
         default: true
     },
+    deliveryMode: { // "digest" merges the daily shop and alerts of all accounts into one message
+        render: (value, interaction) => value === "digest" ? s(interaction).settings.DIGEST : s(interaction).settings.SEPARATE,
+        values: ["separate", "digest"],
+        default: "separate"
+    },
     hideIgn: {
         values: [true, false],
         default: false
@@ -30,6 +44,14 @@ export const settings = {
         values: [true, false],
         default: true
     },
+    guildWatch: {
+        values: [true, false],
+        default: false
+    },
+    pruneOwnedAlerts: {
+        values: [true, false],
+        default: true
+    },
     othersCanViewColl: {
         values: [true, false],
         default: true
@@ -42,6 +64,13 @@ export const settings = {
         values: [true, false],
         default: false,
     },
+    currency: { // to show prices in real money too, the currencies are set up in config.currencies
+        get values() {
+            return ["None", ...Object.keys(config.currencies || {})];
+        },
+        render: (value, interaction) => value === "None" ? s(interaction).settings.NO_CURRENCY : value,
+        default: "None"
+    },
     locale: {
         values: ["Automatic", ...Object.keys(discLanguageNames)],
         default: "Automatic"
@@ -36,7 +36,8 @@ export const sendShardMessage = async (message) => {
 
 /**
  * Send a shard message only to the shard that has a specific channel in its cache.
- * Returns true if any shard processed it, false if no shard has the channel.
+ * Returns true if any shard processed it, false if no shard has the channel,
+ * null if the shards couldn't be asked (e.g. one of them is restarting).
  */
 export const sendShardMessageForChannel = async (message, channelId) => {
     await allShardsReadyPromise;
@@ -92,6 +93,7 @@ export const sendShardMessageForChannel = async (message, channelId) => {
         }
     } catch (e) {
         localError(`Error broadcasting message for channel ${channelId}:`, e);
+        return null;
     }
 
     return false;
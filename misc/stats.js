@@ -1,153 +1,246 @@
 import config from "./config.js";
 import fs from "fs";
+import { addStoreStats, getShopHistoryItemCounts, getShopHistoryMonths, getShopHistorySummary, getStoreStats, getStoreStatsByAbsence, getStoreStatsForItem, getStoreStatsSeen, importStoreStats, pruneStoreStats } from "./userDatabase.js";
 
-let stats = {
-    fileVersion: 2,
-    stats: {}
-};
-let overallStats = {
-    shopsIncluded: 0,
-    items: {}
+const shopDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// the first day that still counts, "" if stats never expire
+const statsSince = () => {
+    if (!config.statsExpirationDays) return "";
+    return shopDay(new Date(Date.now() - (config.statsExpirationDays - 1) * 24 * 60 * 60 * 1000));
 };
-let statsLoaded = false;
-let statsDirty = false;
-let saveDebounceTimer = null;
-const SAVE_DEBOUNCE_MS = 5000;
 
-let statsClient = null;
-export const setStatsClient = (client) => {
-    statsClient = client;
+// the old stats.json used D-M-YYYY days
+const oldStatsDay = (day) => {
+    const [date, month, year] = day.split("-").map(n => parseInt(n));
+    if (!date || !month || !year) return null;
+    return `${year}-${String(month).padStart(2, "0")}-${String(date).padStart(2, "0")}`;
 };
 
+const daysSince = (day) => Math.round((Date.parse(shopDay()) - Date.parse(day)) / (24 * 60 * 60 * 1000));
+
+let statsLoaded = false;
+let lastPrunedDay = null;
+
+/**
+ * Stats used to be kept in data/stats.json. Move them to the database once,
+ * then rename the file so it isn't imported again.
+ */
 export const loadStats = (filename = "data/stats.json") => {
     if (!config.trackStoreStats) return;
     if (statsLoaded) return;
-    try {
-        if (fs.existsSync(filename)) {
-            const obj = JSON.parse(fs.readFileSync(filename, "utf8"));
-            if (obj.stats) {
-                stats = obj;
-                for (const day in stats.stats) {
-                    if (Array.isArray(stats.stats[day].users)) {
-                        stats.stats[day].users = new Set(stats.stats[day].users);
-                    }
-                }
-            }
-            calculateOverallStats();
-        }
-    } catch (e) {
-        console.error("Failed to load store stats from disk:", e);
-    }
     statsLoaded = true;
-};
 
-const saveStats = (filename = "data/stats.json") => {
     try {
-        const dir = filename.substring(0, filename.lastIndexOf("/"));
-        if (dir && !fs.existsSync(dir)) {
-            fs.mkdirSync(dir, { recursive: true });
+        if (!fs.existsSync(filename)) return;
+
+        const obj = JSON.parse(fs.readFileSync(filename, "utf8"));
+        const days = {};
+        for (const [day, dayStats] of Object.entries(obj.stats || {})) {
+            const newDay = oldStatsDay(day);
+            if (newDay) days[newDay] = dayStats;
         }
-        const serializableStats = {
-            fileVersion: stats.fileVersion,
-            stats: {}
-        };
-        for (const day in stats.stats) {
-            const dayStats = stats.stats[day];
-            serializableStats.stats[day] = {
-                shopsIncluded: dayStats.shopsIncluded,
-                items: dayStats.items,
-                users: dayStats.users instanceof Set ? [...dayStats.users] : (dayStats.users || [])
-            };
+
+        const imported = importStoreStats(days);
+        if (imported === null) {
+            statsLoaded = false; // try again once the database is open
+            return;
         }
-        fs.writeFileSync(filename, JSON.stringify(serializableStats));
-        statsDirty = false;
+        fs.renameSync(filename, filename + ".imported");
+        console.log(`Imported ${imported} days of store stats from ${filename}`);
     } catch (e) {
-        console.error("Failed to save store stats to disk:", e);
+        console.error("Failed to import store stats from disk:", e);
     }
-};
 
-const debouncedSaveStats = () => {
-    const shardId = statsClient?.shard?.ids?.[0];
-    if (shardId !== undefined && shardId !== 0) return; // shard 0 only
-    statsDirty = true;
-    if (saveDebounceTimer) return;
-    saveDebounceTimer = setTimeout(() => {
-        saveDebounceTimer = null;
-        if (statsDirty) saveStats();
-    }, SAVE_DEBOUNCE_MS);
+    pruneStats();
 };
 
-export const flushStats = () => {
-    if (saveDebounceTimer) {
-        clearTimeout(saveDebounceTimer);
-        saveDebounceTimer = null;
-    }
-    if (statsDirty) saveStats();
+// delete the days that are older than statsExpirationDays
+export const pruneStats = () => {
+    const since = statsSince();
+    lastPrunedDay = shopDay();
+    if (since) pruneStoreStats(since);
 };
 
-export const calculateOverallStats = () => {
-    overallStats.shopsIncluded = 0;
-    overallStats.items = {};
-
-    let items = {};
-    for (const day in stats.stats) {
-        const dayStats = stats.stats[day];
-        overallStats.shopsIncluded += dayStats.shopsIncluded || 0;
-        for (const item in dayStats.items) {
-            items[item] = (items[item] || 0) + dayStats.items[item];
-        }
-    }
-
-    const sortedItems = Object.entries(items).sort(([, a], [, b]) => b - a);
-    for (const [uuid, count] of sortedItems) {
-        overallStats.items[uuid] = count;
-    }
+/**
+ * The chance that a skin is in one shop within the next days, if each daily
+ * shop has it as often as the tracked shops did.
+ *
+ * @returns {number} in %, rounded to 1 decimal
+ */
+export const chanceInNextDays = (count, shopsIncluded, days) => {
+    if (!count || !shopsIncluded) return 0;
+    const perShop = Math.min(count / shopsIncluded, 1);
+    return Math.round((1 - (1 - perShop) ** days) * 1000) / 10;
 };
 
 export const getStatsFor = (uuid) => {
     loadStats();
-    const count = overallStats.items[uuid] || 0;
-    const itemKeys = Object.keys(overallStats.items);
-    const rankIndex = itemKeys.indexOf(uuid);
+    if (!config.trackStoreStats) return {
+        shopsIncluded: 0,
+        count: 0,
+        amount: 0,
+        percentage: 0,
+        rank: [0, 0],
+        lastSeen: null,
+        daysSince: null,
+        longestGap: 0,
+        chance7: 0,
+        chance30: 0
+    };
+
+    const { shopsIncluded, count, rank, total } = getStoreStatsForItem(uuid, statsSince());
+    const seen = getStoreStatsSeen(uuid);
+    const since = seen ? daysSince(seen.lastSeen) : null;
     return {
-        shopsIncluded: overallStats.shopsIncluded || 0,
+        shopsIncluded: shopsIncluded,
         count: count,
         amount: count,
-        percentage: Math.round((count / (overallStats.shopsIncluded || 1)) * 1000) / 10,
-        rank: [count > 0 && rankIndex !== -1 ? rankIndex + 1 : 0, itemKeys.length]
+        percentage: Math.round((count / (shopsIncluded || 1)) * 1000) / 10,
+        rank: [rank, total],
+        lastSeen: seen?.lastSeen || null,
+        daysSince: since,
+        // the current absence counts too once it's the longest
+        longestGap: seen ? Math.max(seen.longestGap, since) : 0,
+        chance7: chanceInNextDays(count, shopsIncluded, 7),
+        chance30: chanceInNextDays(count, shopsIncluded, 30)
     };
 };
 
-export const getOverallStats = () => {
+/**
+ * How rare the skins of a shop are, from where each one ranks among the
+ * tracked skins: 0 if they're the most common ones, 100 if they were never seen.
+ *
+ * @param {string[]} uuids
+ * @returns {number|null} null if no shops were tracked yet
+ */
+export const getShopScore = (uuids) => {
+    loadStats();
+    if (!uuids.length) return null;
+
+    const stats = uuids.map(uuid => getStatsFor(uuid));
+    if (!stats[0].shopsIncluded) return null;
+
+    const percentiles = stats.map(({ count, rank }) => count ? (rank[0] - 1) / rank[1] * 100 : 100);
+    return Math.round(percentiles.reduce((total, percentile) => total + percentile, 0) / percentiles.length);
+};
+
+/**
+ * @param {"count"|"absent"} sort "count" for the most seen first, "absent" for the ones not seen for the longest first
+ * @returns {{shopsIncluded: number, items: Record<string, number>}} over the last statsExpirationDays days.
+ *     Sorted by absence, it also has the items seen before that (with a count of 0).
+ */
+export const getOverallStats = (sort = "count") => {
     loadStats();
-    return overallStats;
+    if (!config.trackStoreStats) return { shopsIncluded: 0, items: {} };
+    if (sort === "absent") return getStoreStatsByAbsence(statsSince());
+    return getStoreStats(statsSince());
 };
 
 export const addStore = async (puuid, items) => {
     if (!config.trackStoreStats) return;
 
-    const today = formatDate(new Date());
-
     loadStats();
-    let todayStats = stats.stats[today];
-    if (!todayStats) {
-        todayStats = { shopsIncluded: 0, items: {}, users: new Set() };
-        stats.stats[today] = todayStats;
-    } else if (Array.isArray(todayStats.users)) {
-        todayStats.users = new Set(todayStats.users);
-    }
+    const today = shopDay();
+    if (lastPrunedDay !== today) pruneStats();
 
-    if (todayStats.users.has(puuid)) return;
-    todayStats.users.add(puuid);
+    addStoreStats(today, puuid, items);
+};
 
-    for (const item of items) {
-        todayStats.items[item] = (todayStats.items[item] || 0) + 1;
-        overallStats.items[item] = (overallStats.items[item] || 0) + 1;
+/**
+ * Stats of the skins in one account's own daily shops, from its shop history
+ * (so they don't depend on trackStoreStats or statsExpirationDays).
+ *
+ * @returns {{
+ *     shopsIncluded: number, firstDay: string|null, lastDay: string|null,
+ *     items: {uuid: string, count: number, percentage: number, lastSeen: string, daysSince: number}[],
+ *     months: {month: string, items: Record<string, number>}[]
+ * }} items from most to least seen, months from most recent
+ */
+export const getPersonalStats = (puuid) => {
+    const { shops, firstDay, lastDay } = getShopHistorySummary(puuid);
+
+    const items = getShopHistoryItemCounts(puuid).map(row => ({
+        uuid: row.itemUuid,
+        count: row.count,
+        percentage: Math.round((row.count / (shops || 1)) * 1000) / 10,
+        lastSeen: row.lastSeen,
+        daysSince: daysSince(row.lastSeen)
+    }));
+
+    const months = [];
+    for (const row of getShopHistoryMonths(puuid)) {
+        if (months.at(-1)?.month !== row.month) months.push({ month: row.month, items: {} });
+        months.at(-1).items[row.itemUuid] = row.count;
     }
-    todayStats.shopsIncluded++;
-    overallStats.shopsIncluded++;
 
-    debouncedSaveStats();
+    return { shopsIncluded: shops, firstDay, lastDay, items, months };
+};
+
+/**
+ * @returns {{shopsIncluded: number, count: number, percentage: number, lastSeen: string|null, daysSince: number|null}}
+ */
+export const getPersonalStatsFor = (puuid, uuid) => {
+    const stats = getPersonalStats(puuid);
+    const item = stats.items.find(item => item.uuid === uuid);
+    return {
+        shopsIncluded: stats.shopsIncluded,
+        count: item?.count || 0,
+        percentage: item?.percentage || 0,
+        lastSeen: item?.lastSeen || null,
+        daysSince: item?.daysSince ?? null
+    };
+};
+
+/**
+ * getPersonalStats() in the same shape as getOverallStats().
+ *
+ * @returns {{shopsIncluded: number, items: Record<string, number>}}
+ */
+export const getPersonalOverallStats = (puuid) => {
+    const { shopsIncluded, items } = getPersonalStats(puuid);
+    return { shopsIncluded, items: Object.fromEntries(items.map(item => [item.uuid, item.count])) };
 };
 
-const formatDate = (date) => `${date.getUTCDate()}-${date.getUTCMonth() + 1}-${date.getUTCFullYear()}`;
+/**
+ * Group the tracked shop appearances (e.g. by weapon or rarity), next to how
+ * much of the skin catalog each group is, to see if the shop favours some of them.
+ *
+ * @param {{shopsIncluded: number, items: Record<string, number>}} stats from getOverallStats() or getPersonalOverallStats()
+ * @param {Object[]} skins the catalog, from getAllSkins() in valorant/cache.js
+ * @param {(skin: Object) => string|null} groupOf the group of a skin, null to leave it out
+ * @returns {Record<string, {appearances: number, perShop: number, share: number, catalogShare: number}>}
+ *     share and catalogShare in %, groups sorted from most to least seen
+ */
+export const getStatsBreakdown = (stats, skins, groupOf) => {
+    const groups = {};
+    const group = (key) => groups[key] ||= { appearances: 0, catalog: 0 };
+
+    let catalogSize = 0;
+    for (const skin of skins) {
+        const key = groupOf(skin);
+        if (!key) continue;
+        group(key).catalog++;
+        catalogSize++;
+    }
+
+    const skinsByUuid = new Map(skins.map(skin => [skin.uuid, skin]));
+    let appearances = 0;
+    for (const [uuid, count] of Object.entries(stats.items)) {
+        const skin = skinsByUuid.get(uuid);
+        const key = skin && groupOf(skin);
+        if (!key) continue;
+        group(key).appearances += count;
+        appearances += count;
+    }
+
+    const round = (n) => Math.round(n * 10) / 10;
+    return Object.fromEntries(Object.entries(groups)
+        .sort(([, a], [, b]) => b.appearances - a.appearances || b.catalog - a.catalog)
+        .map(([key, { appearances: count, catalog }]) => [key, {
+            appearances: count,
+            perShop: Math.round(count / (stats.shopsIncluded || 1) * 100) / 100,
+            share: round(count / (appearances || 1) * 100),
+            catalogShare: round(catalog / (catalogSize || 1) * 100)
+        }]));
+};
@@ -107,6 +107,171 @@ const createTables = () => {
     `);
 
     db.exec(`CREATE INDEX IF NOT EXISTS idx_accounts_userId ON accounts(userId)`);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS alert_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId TEXT NOT NULL,
+            puuid TEXT,
+            alertUuid TEXT NOT NULL,
+            itemUuid TEXT NOT NULL,
+            itemType TEXT,
+            store TEXT NOT NULL,
+            channelId TEXT,
+            status TEXT NOT NULL,
+            timestamp INTEGER NOT NULL
+        )
+    `);
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_alert_history_userId ON alert_history(userId, timestamp)`);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS delivery_targets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId TEXT NOT NULL,
+            type TEXT NOT NULL,
+            url TEXT NOT NULL,
+            events TEXT NOT NULL,
+            failures INTEGER NOT NULL DEFAULT 0,
+            totalFailures INTEGER NOT NULL DEFAULT 0,
+            lastError TEXT,
+            lastDeliveredAt INTEGER,
+            disabled INTEGER NOT NULL DEFAULT 0,
+            createdAt INTEGER NOT NULL
+        )
+    `);
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_delivery_targets_userId ON delivery_targets(userId)`);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS guild_watch (
+            guildId TEXT PRIMARY KEY,
+            channelId TEXT NOT NULL,
+            skins TEXT NOT NULL,
+            createdAt INTEGER NOT NULL,
+            updatedAt INTEGER NOT NULL
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS daily_shop_deliveries (
+            userId TEXT PRIMARY KEY,
+            shopDay TEXT NOT NULL,
+            deliveredAt INTEGER NOT NULL
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS alert_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            shopDay TEXT NOT NULL,
+            startedAt INTEGER NOT NULL,
+            finishedAt INTEGER
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS alert_run_progress (
+            runId INTEGER NOT NULL,
+            userId TEXT NOT NULL,
+            step TEXT NOT NULL,
+            PRIMARY KEY (runId, userId, step)
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS outbox (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId TEXT NOT NULL,
+            type TEXT NOT NULL,
+            channelId TEXT,
+            payload TEXT NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            nextAttemptAt INTEGER NOT NULL,
+            lastError TEXT,
+            createdAt INTEGER NOT NULL
+        )
+    `);
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_outbox_nextAttemptAt ON outbox(nextAttemptAt)`);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS digests (
+            userId TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            createdAt INTEGER NOT NULL
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS shop_history (
+            puuid TEXT NOT NULL,
+            day TEXT NOT NULL,
+            store TEXT NOT NULL,
+            itemUuid TEXT NOT NULL,
+            itemType TEXT,
+            cost INTEGER,
+            discount INTEGER,
+            PRIMARY KEY (puuid, day, store, itemUuid)
+        )
+    `);
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_shop_history_item ON shop_history(puuid, itemUuid)`);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS shop_cache (
+            puuid TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            expiresAt INTEGER NOT NULL,
+            updatedAt INTEGER NOT NULL
+        )
+    `);
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_shop_cache_expiresAt ON shop_cache(expiresAt)`);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS store_stats_days (
+            day TEXT PRIMARY KEY,
+            shopsIncluded INTEGER NOT NULL DEFAULT 0
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS store_stats_items (
+            day TEXT NOT NULL,
+            itemUuid TEXT NOT NULL,
+            count INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (day, itemUuid)
+        )
+    `);
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_store_stats_items_item ON store_stats_items(itemUuid)`);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS store_stats_users (
+            day TEXT NOT NULL,
+            puuid TEXT NOT NULL,
+            PRIMARY KEY (day, puuid)
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS patch_subscriptions (
+            guildId TEXT PRIMARY KEY,
+            channelId TEXT NOT NULL,
+            createdAt INTEGER NOT NULL
+        )
+    `);
+
+    // not pruned with the other store stats, so that old appearances still count
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS store_stats_seen (
+            itemUuid TEXT PRIMARY KEY,
+            firstSeen TEXT NOT NULL,
+            lastSeen TEXT NOT NULL,
+            longestGap INTEGER NOT NULL DEFAULT 0
+        )
+    `);
 };
 
 const prepareStatements = () => {
@@ -121,7 +286,70 @@ const prepareStatements = () => {
         getAllUserIds: db.prepare(`SELECT id FROM users`),
         deleteAccount: db.prepare(`DELETE FROM accounts WHERE puuid = ?`),
         updateSingleAccount: db.prepare(`UPDATE accounts SET username = ?, region = ?, auth = ?, alerts = ?, authFailures = ?, lastFetchedData = ?, lastNoticeSeen = ?, lastSawEasterEgg = ?, updatedAt = ? WHERE puuid = ?`),
-        getUserIdsWithAlertsOrDailyShop: db.prepare(`SELECT DISTINCT u.id FROM users u LEFT JOIN accounts a ON a.userId = u.id WHERE (a.alerts IS NOT NULL AND a.alerts != '[]') OR (json_extract(u.settings, '$.dailyShop') NOT IN (0, 'false', false) AND json_extract(u.settings, '$.dailyShop') IS NOT NULL)`),
+        addAlertHistory: db.prepare(`INSERT INTO alert_history (userId, puuid, alertUuid, itemUuid, itemType, store, channelId, status, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`),
+        getAlertHistory: db.prepare(`SELECT * FROM alert_history WHERE userId = ? ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`),
+        countAlertHistory: db.prepare(`SELECT COUNT(*) AS count FROM alert_history WHERE userId = ?`),
+        pruneAlertHistory: db.prepare(`DELETE FROM alert_history WHERE timestamp < ?`),
+        getUserIdsWithAlertsOrDailyShop: db.prepare(`SELECT DISTINCT u.id FROM users u LEFT JOIN accounts a ON a.userId = u.id WHERE (a.alerts IS NOT NULL AND a.alerts != '[]') OR (json_extract(u.settings, '$.dailyShop') NOT IN (0, 'false', false) AND json_extract(u.settings, '$.dailyShop') IS NOT NULL) OR json_extract(u.settings, '$.guildWatch') = 1 OR EXISTS (SELECT 1 FROM delivery_targets d WHERE d.userId = u.id AND d.disabled = 0)`),
+        addDeliveryTarget: db.prepare(`INSERT INTO delivery_targets (userId, type, url, events, createdAt) VALUES (?, ?, ?, ?, ?)`),
+        getDeliveryTargets: db.prepare(`SELECT * FROM delivery_targets WHERE userId = ? ORDER BY id ASC`),
+        removeDeliveryTarget: db.prepare(`DELETE FROM delivery_targets WHERE userId = ? AND id = ?`),
+        deliverySucceeded: db.prepare(`UPDATE delivery_targets SET failures = 0, disabled = 0, lastError = NULL, lastDeliveredAt = ? WHERE id = ?`),
+        deliveryFailed: db.prepare(`UPDATE delivery_targets SET failures = failures + 1, totalFailures = totalFailures + 1, lastError = ?, disabled = (? > 0 AND failures + 1 >= ?) WHERE id = ?`),
+        getGuildWatch: db.prepare(`SELECT * FROM guild_watch WHERE guildId = ?`),
+        getAllGuildWatches: db.prepare(`SELECT * FROM guild_watch`),
+        upsertGuildWatch: db.prepare(`INSERT OR REPLACE INTO guild_watch (guildId, channelId, skins, createdAt, updatedAt) VALUES (?, ?, ?, COALESCE((SELECT createdAt FROM guild_watch WHERE guildId = ?), ?), ?)`),
+        deleteGuildWatch: db.prepare(`DELETE FROM guild_watch WHERE guildId = ?`),
+        getUserIdsWithScheduledDailyShop: db.prepare(`SELECT id FROM users WHERE json_extract(settings, '$.dailyShop') NOT IN (0, 'false', false) AND json_extract(settings, '$.dailyShop') IS NOT NULL AND json_type(settings, '$.dailyShopTime') = 'integer' AND NOT EXISTS (SELECT 1 FROM daily_shop_deliveries d WHERE d.userId = users.id AND d.shopDay = ?)`),
+        setDailyShopDelivered: db.prepare(`INSERT OR REPLACE INTO daily_shop_deliveries (userId, shopDay, deliveredAt) VALUES (?, ?, ?)`),
+        startAlertRun: db.prepare(`INSERT INTO alert_runs (shopDay, startedAt) VALUES (?, ?)`),
+        finishAlertRun: db.prepare(`UPDATE alert_runs SET finishedAt = ? WHERE id = ?`),
+        getUnfinishedAlertRun: db.prepare(`SELECT * FROM alert_runs WHERE shopDay = ? AND finishedAt IS NULL ORDER BY id DESC LIMIT 1`),
+        getAlertRunProgress: db.prepare(`SELECT userId, step FROM alert_run_progress WHERE runId = ?`),
+        addAlertRunProgress: db.prepare(`INSERT OR IGNORE INTO alert_run_progress (runId, userId, step) VALUES (?, ?, ?)`),
+        pruneAlertRunProgress: db.prepare(`DELETE FROM alert_run_progress WHERE runId IN (SELECT id FROM alert_runs WHERE shopDay < ?)`),
+        pruneAlertRuns: db.prepare(`DELETE FROM alert_runs WHERE shopDay < ?`),
+        addToOutbox: db.prepare(`INSERT INTO outbox (userId, type, channelId, payload, nextAttemptAt, lastError, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?)`),
+        getDueOutbox: db.prepare(`SELECT * FROM outbox WHERE nextAttemptAt <= ? ORDER BY nextAttemptAt ASC LIMIT ?`),
+        rescheduleOutbox: db.prepare(`UPDATE outbox SET attempts = ?, nextAttemptAt = ? WHERE id = ?`),
+        setOutboxError: db.prepare(`UPDATE outbox SET lastError = ? WHERE id = ?`),
+        removeFromOutbox: db.prepare(`DELETE FROM outbox WHERE id = ?`),
+        getDigest: db.prepare(`SELECT data FROM digests WHERE userId = ?`),
+        saveDigest: db.prepare(`INSERT OR REPLACE INTO digests (userId, data, createdAt) VALUES (?, ?, ?)`),
+        addShopHistory: db.prepare(`INSERT OR IGNORE INTO shop_history (puuid, day, store, itemUuid, itemType, cost, discount) VALUES (?, ?, ?, ?, ?, ?, ?)`),
+        getShopHistoryDay: db.prepare(`SELECT * FROM shop_history WHERE puuid = ? AND day = ? ORDER BY rowid ASC`),
+        getShopHistoryDays: db.prepare(`SELECT DISTINCT day FROM shop_history WHERE puuid = ? ORDER BY day DESC LIMIT ?`),
+        getShopCache: db.prepare(`SELECT data FROM shop_cache WHERE puuid = ?`),
+        setShopCache: db.prepare(`INSERT OR REPLACE INTO shop_cache (puuid, data, expiresAt, updatedAt) VALUES (?, ?, ?, ?)`),
+        deleteShopCache: db.prepare(`DELETE FROM shop_cache WHERE puuid = ?`),
+        clearShopCache: db.prepare(`DELETE FROM shop_cache`),
+        pruneShopCache: db.prepare(`DELETE FROM shop_cache WHERE expiresAt < ?`),
+        getItemShopHistory: db.prepare(`SELECT day, store, cost, discount FROM shop_history WHERE puuid = ? AND itemUuid = ? ORDER BY day DESC`),
+        getShopHistorySummary: db.prepare(`SELECT COUNT(DISTINCT day) AS shops, MIN(day) AS firstDay, MAX(day) AS lastDay FROM shop_history WHERE puuid = ? AND store = 'daily'`),
+        getShopHistoryItemCounts: db.prepare(`SELECT itemUuid, COUNT(*) AS count, MAX(day) AS lastSeen FROM shop_history WHERE puuid = ? AND store = 'daily' GROUP BY itemUuid ORDER BY count DESC, lastSeen DESC`),
+        getShopHistoryMonths: db.prepare(`SELECT substr(day, 1, 7) AS month, itemUuid, COUNT(*) AS count FROM shop_history WHERE puuid = ? AND store = 'daily' GROUP BY month, itemUuid ORDER BY month DESC`),
+        addStoreStatsUser: db.prepare(`INSERT OR IGNORE INTO store_stats_users (day, puuid) VALUES (?, ?)`),
+        addStoreStatsShop: db.prepare(`INSERT INTO store_stats_days (day, shopsIncluded) VALUES (?, ?) ON CONFLICT(day) DO UPDATE SET shopsIncluded = shopsIncluded + excluded.shopsIncluded`),
+        addStoreStatsItem: db.prepare(`INSERT INTO store_stats_items (day, itemUuid, count) VALUES (?, ?, ?) ON CONFLICT(day, itemUuid) DO UPDATE SET count = count + excluded.count`),
+        hasStoreStatsDay: db.prepare(`SELECT 1 FROM store_stats_days WHERE day = ?`),
+        getStoreStatsShops: db.prepare(`SELECT COALESCE(SUM(shopsIncluded), 0) AS shopsIncluded FROM store_stats_days WHERE day >= ?`),
+        getStoreStatsItems: db.prepare(`SELECT itemUuid, SUM(count) AS count FROM store_stats_items WHERE day >= ? GROUP BY itemUuid ORDER BY count DESC, itemUuid ASC`),
+        getStoreStatsItem: db.prepare(`
+            WITH totals AS (SELECT itemUuid, SUM(count) AS count FROM store_stats_items WHERE day >= ? GROUP BY itemUuid)
+            SELECT (SELECT count FROM totals WHERE itemUuid = ?) AS count,
+                   (SELECT COUNT(*) FROM totals WHERE count > COALESCE((SELECT count FROM totals WHERE itemUuid = ?), 0)) AS above,
+                   (SELECT COUNT(*) FROM totals) AS total
+        `),
+        addStoreStatsSeen: db.prepare(`INSERT INTO store_stats_seen (itemUuid, firstSeen, lastSeen, longestGap) VALUES (?, ?, ?, 0) ON CONFLICT(itemUuid) DO UPDATE SET longestGap = MAX(longestGap, CAST(julianday(excluded.lastSeen) - julianday(lastSeen) AS INTEGER) - 1), lastSeen = MAX(lastSeen, excluded.lastSeen), firstSeen = MIN(firstSeen, excluded.firstSeen)`),
+        getStoreStatsSeen: db.prepare(`SELECT firstSeen, lastSeen, longestGap FROM store_stats_seen WHERE itemUuid = ?`),
+        getStoreStatsAbsent: db.prepare(`SELECT s.itemUuid, COALESCE(t.count, 0) AS count FROM store_stats_seen s LEFT JOIN (SELECT itemUuid, SUM(count) AS count FROM store_stats_items WHERE day >= ? GROUP BY itemUuid) t ON t.itemUuid = s.itemUuid ORDER BY s.lastSeen ASC, s.itemUuid ASC`),
+        setPatchSubscription: db.prepare(`INSERT OR REPLACE INTO patch_subscriptions (guildId, channelId, createdAt) VALUES (?, ?, ?)`),
+        deletePatchSubscription: db.prepare(`DELETE FROM patch_subscriptions WHERE guildId = ?`),
+        getPatchSubscription: db.prepare(`SELECT * FROM patch_subscriptions WHERE guildId = ?`),
+        getPatchSubscriptions: db.prepare(`SELECT * FROM patch_subscriptions`),
+        pruneStoreStatsDays: db.prepare(`DELETE FROM store_stats_days WHERE day < ?`),
+        pruneStoreStatsItems: db.prepare(`DELETE FROM store_stats_items WHERE day < ?`),
+        pruneStoreStatsUsers: db.prepare(`DELETE FROM store_stats_users WHERE day < ?`),
     };
 };
 
@@ -265,6 +493,533 @@ export const updateSingleAccountInDb = (account) => {
     return result.changes > 0;
 };
 
+/**
+ * @typedef {Object} AlertHistoryEntry
+ * @property {string} userId Discord User ID
+ * @property {string} [puuid] Riot PUUID of the account whose shop matched
+ * @property {string} alertUuid uuid of the alert that matched
+ * @property {string} itemUuid uuid of the skin/bundle/accessory that was in the shop
+ * @property {string} [itemType] alert type of the item, null for skins
+ * @property {"daily"|"nightMarket"|"bundle"|"accessory"} store
+ * @property {string} channelId
+ * @property {"delivered"|"failed"|"inaccessible"} status
+ * @property {number} [timestamp]
+ */
+
+/**
+ * @param {AlertHistoryEntry[]} entries
+ */
+export const addAlertHistory = (entries) => {
+    if (!entries?.length || !db || !stmts?.addAlertHistory) return;
+    const now = Date.now();
+    runUserDbTransaction(() => {
+        for (const entry of entries) {
+            stmts.addAlertHistory.run(
+                entry.userId,
+                entry.puuid || null,
+                entry.alertUuid,
+                entry.itemUuid,
+                entry.itemType || null,
+                entry.store,
+                entry.channelId || null,
+                entry.status,
+                entry.timestamp || now
+            );
+        }
+    });
+};
+
+/**
+ * @param {string} userId
+ * @param {number} [limit]
+ * @param {number} [offset]
+ * @returns {AlertHistoryEntry[]} most recent first
+ */
+export const getAlertHistory = (userId, limit = 10, offset = 0) => {
+    if (!userId || !db || !stmts?.getAlertHistory) return [];
+    return stmts.getAlertHistory.all(userId, limit, offset);
+};
+
+export const countAlertHistory = (userId) => {
+    if (!userId || !db || !stmts?.countAlertHistory) return 0;
+    return stmts.countAlertHistory.get(userId).count;
+};
+
+export const pruneAlertHistory = (before) => {
+    if (!db || !stmts?.pruneAlertHistory) return 0;
+    return stmts.pruneAlertHistory.run(before).changes;
+};
+
+/**
+ * @typedef {Object} DeliveryTarget
+ * @property {number} id
+ * @property {string} userId Discord User ID
+ * @property {"discord"|"http"} type discord webhook, or any endpoint accepting JSON
+ * @property {string} url
+ * @property {"alerts"|"dailyShop"|"all"} events
+ * @property {number} failures failed deliveries in a row
+ * @property {number} totalFailures
+ * @property {string|null} lastError
+ * @property {number|null} lastDeliveredAt
+ * @property {number} disabled 1 once failures reached config.webhookMaxFailures
+ */
+
+/**
+ * @returns {number|null} id of the new target
+ */
+export const addDeliveryTarget = (userId, type, url, events) => {
+    if (!userId || !db || !stmts?.addDeliveryTarget) return null;
+    return Number(stmts.addDeliveryTarget.run(userId, type, url, events, Date.now()).lastInsertRowid);
+};
+
+/**
+ * @param {string} userId
+ * @returns {DeliveryTarget[]}
+ */
+export const getDeliveryTargets = (userId) => {
+    if (!userId || !db || !stmts?.getDeliveryTargets) return [];
+    return stmts.getDeliveryTargets.all(userId);
+};
+
+export const removeDeliveryTarget = (userId, id) => {
+    if (!userId || !db || !stmts?.removeDeliveryTarget) return false;
+    return stmts.removeDeliveryTarget.run(userId, id).changes > 0;
+};
+
+/**
+ * Keep count of failed deliveries in a row, the target is disabled once
+ * there are maxFailures of them (0 = never) and re-enabled by the next success.
+ */
+export const recordDeliveryResult = (id, success, error = null, maxFailures = 0) => {
+    if (!db || !stmts?.deliverySucceeded) return;
+    if (success) stmts.deliverySucceeded.run(Date.now(), id);
+    else stmts.deliveryFailed.run(error ? String(error).slice(0, 500) : null, maxFailures, maxFailures, id);
+};
+
+/**
+ * @typedef {Object} GuildWatch
+ * @property {string} guildId
+ * @property {string} channelId channel where members' matching shops are announced
+ * @property {string[]} skins watched skin uuids
+ */
+
+const guildWatchFromRow = (row) => ({
+    guildId: row.guildId,
+    channelId: row.channelId,
+    skins: safeJsonParse(row.skins, [], "guildWatch.skins")
+});
+
+/**
+ * @param {string} guildId
+ * @returns {GuildWatch|null}
+ */
+export const getGuildWatch = (guildId) => {
+    if (!guildId || !db || !stmts?.getGuildWatch) return null;
+    const row = stmts.getGuildWatch.get(guildId);
+    return row ? guildWatchFromRow(row) : null;
+};
+
+/**
+ * @returns {GuildWatch[]}
+ */
+export const getAllGuildWatches = () => {
+    if (!db || !stmts?.getAllGuildWatches) return [];
+    return stmts.getAllGuildWatches.all().map(guildWatchFromRow);
+};
+
+/**
+ * @param {GuildWatch} watch
+ */
+export const saveGuildWatch = (watch) => {
+    if (!watch?.guildId || !db || !stmts?.upsertGuildWatch) return;
+    const now = Date.now();
+    stmts.upsertGuildWatch.run(watch.guildId, watch.channelId, JSON.stringify(watch.skins || []), watch.guildId, now, now);
+};
+
+export const deleteGuildWatch = (guildId) => {
+    if (!guildId || !db || !stmts?.deleteGuildWatch) return;
+    stmts.deleteGuildWatch.run(guildId);
+};
+
+/**
+ * Servers get what's new in each game update posted in one of their channels.
+ *
+ * @returns {{guildId: string, channelId: string, createdAt: number}|null}
+ */
+export const getPatchSubscription = (guildId) => {
+    if (!guildId || !db || !stmts?.getPatchSubscription) return null;
+    return stmts.getPatchSubscription.get(guildId) || null;
+};
+
+export const getPatchSubscriptions = () => {
+    if (!db || !stmts?.getPatchSubscriptions) return [];
+    return stmts.getPatchSubscriptions.all();
+};
+
+export const setPatchSubscription = (guildId, channelId) => {
+    if (!guildId || !db || !stmts?.setPatchSubscription) return;
+    stmts.setPatchSubscription.run(guildId, channelId, Date.now());
+};
+
+export const deletePatchSubscription = (guildId) => {
+    if (!guildId || !db || !stmts?.deletePatchSubscription) return false;
+    return stmts.deletePatchSubscription.run(guildId).changes > 0;
+};
+
+/**
+ * Users whose daily shop is posted at a time of their choosing (dailyShopTime)
+ * and who haven't received it yet for this shop day.
+ *
+ * @param {string} shopDay YYYY-MM-DD (UTC) of the current shop
+ * @returns {string[]}
+ */
+export const getUserIdsWithScheduledDailyShop = (shopDay) => {
+    if (!db || !stmts?.getUserIdsWithScheduledDailyShop) return [];
+    return stmts.getUserIdsWithScheduledDailyShop.all(shopDay).map(row => row.id);
+};
+
+export const setDailyShopDelivered = (userId, shopDay) => {
+    if (!userId || !db || !stmts?.setDailyShopDelivered) return;
+    stmts.setDailyShopDelivered.run(userId, shopDay, Date.now());
+};
+
+/**
+ * @typedef {Object} AlertRun
+ * @property {number} id
+ * @property {string} shopDay YYYY-MM-DD (UTC)
+ * @property {number} startedAt
+ * @property {number|null} finishedAt
+ */
+
+/**
+ * @param {string} shopDay YYYY-MM-DD (UTC) of the shop being checked
+ * @returns {number|null} the id of the new run
+ */
+export const startAlertRun = (shopDay) => {
+    if (!db || !stmts?.startAlertRun) return null;
+    return Number(stmts.startAlertRun.run(shopDay, Date.now()).lastInsertRowid);
+};
+
+export const finishAlertRun = (runId) => {
+    if (!runId || !db || !stmts?.finishAlertRun) return;
+    stmts.finishAlertRun.run(Date.now(), runId);
+};
+
+/**
+ * @returns {AlertRun|null} the latest run for that shop day that didn't finish
+ */
+export const getUnfinishedAlertRun = (shopDay) => {
+    if (!db || !stmts?.getUnfinishedAlertRun) return null;
+    return stmts.getUnfinishedAlertRun.get(shopDay) || null;
+};
+
+/**
+ * @returns {{userId: string, step: string}[]}
+ */
+export const getAlertRunProgress = (runId) => {
+    if (!runId || !db || !stmts?.getAlertRunProgress) return [];
+    return stmts.getAlertRunProgress.all(runId);
+};
+
+export const addAlertRunProgress = (runId, userId, step) => {
+    if (!runId || !db || !stmts?.addAlertRunProgress) return;
+    stmts.addAlertRunProgress.run(runId, userId, step);
+};
+
+/**
+ * Forget the runs (and their progress) of shop days before this one.
+ */
+export const pruneAlertRuns = (shopDay) => {
+    if (!db || !stmts?.pruneAlertRuns) return;
+    runUserDbTransaction(() => {
+        stmts.pruneAlertRunProgress.run(shopDay);
+        stmts.pruneAlertRuns.run(shopDay);
+    });
+};
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {number} id
+ * @property {string} userId
+ * @property {"alert"|"storeAlert"|"dailyShop"} type
+ * @property {string|null} channelId
+ * @property {Object} payload the arguments to deliver it again with
+ * @property {number} attempts how many times it was retried
+ * @property {number} nextAttemptAt
+ * @property {string|null} lastError
+ * @property {number} createdAt
+ */
+
+/**
+ * @returns {number|null} the id of the outbox entry
+ */
+export const addToOutbox = ({ userId, type, channelId = null, payload, nextAttemptAt, error = null }) => {
+    if (!db || !stmts?.addToOutbox) return null;
+    return Number(stmts.addToOutbox.run(userId, type, channelId, JSON.stringify(payload), nextAttemptAt, error ? String(error).slice(0, 500) : null, Date.now()).lastInsertRowid);
+};
+
+/**
+ * @returns {OutboxEntry[]} the entries that are due to be retried, oldest first
+ */
+export const getDueOutbox = (now = Date.now(), limit = 50) => {
+    if (!db || !stmts?.getDueOutbox) return [];
+    return stmts.getDueOutbox.all(now, limit).map(row => ({ ...row, payload: safeJsonParse(row.payload, {}, `outbox entry ${row.id}`) }));
+};
+
+export const rescheduleOutbox = (id, attempts, nextAttemptAt) => {
+    if (!id || !db || !stmts?.rescheduleOutbox) return;
+    stmts.rescheduleOutbox.run(attempts, nextAttemptAt, id);
+};
+
+export const setOutboxError = (id, error) => {
+    if (!id || !db || !stmts?.setOutboxError) return;
+    stmts.setOutboxError.run(error ? String(error).slice(0, 500) : null, id);
+};
+
+export const removeFromOutbox = (id) => {
+    if (!id || !db || !stmts?.removeFromOutbox) return;
+    stmts.removeFromOutbox.run(id);
+};
+
+/**
+ * @returns {Object|null} the last digest sent to the user, see processUserAlerts()
+ */
+export const getDigest = (userId) => {
+    if (!userId || !db || !stmts?.getDigest) return null;
+    const row = stmts.getDigest.get(userId);
+    return row ? safeJsonParse(row.data, null, `digest of ${userId}`) : null;
+};
+
+export const saveDigest = (userId, digest) => {
+    if (!userId || !db || !stmts?.saveDigest) return;
+    stmts.saveDigest.run(userId, JSON.stringify(digest), Date.now());
+};
+
+/**
+ * @typedef {Object} ShopHistoryItem
+ * @property {"daily"|"nightMarket"|"accessory"} store
+ * @property {string} itemUuid
+ * @property {string} [itemType] the ItemTypeID, for accessories
+ * @property {number} [cost] in VP, or KC for accessories
+ * @property {number} [discount] the % off, for the night market
+ */
+
+/**
+ * Remember what was in an account's stores on a given day.
+ * Items seen again on the same day (e.g. the shop was refetched) are ignored.
+ *
+ * @param {string} puuid
+ * @param {string} day YYYY-MM-DD, in UTC like the shop reset
+ * @param {ShopHistoryItem[]} items
+ */
+export const addShopHistory = (puuid, day, items) => {
+    if (!puuid || !items?.length || !db || !stmts?.addShopHistory) return;
+    runUserDbTransaction(() => {
+        for (const item of items) {
+            stmts.addShopHistory.run(puuid, day, item.store, item.itemUuid, item.itemType || null, item.cost ?? null, item.discount ?? null);
+        }
+    });
+};
+
+/**
+ * @returns {ShopHistoryItem[]} everything that was in the account's stores that day
+ */
+export const getShopHistoryDay = (puuid, day) => {
+    if (!puuid || !db || !stmts?.getShopHistoryDay) return [];
+    return stmts.getShopHistoryDay.all(puuid, day);
+};
+
+/**
+ * @returns {string[]} the days the account's shop was seen, most recent first
+ */
+export const getShopHistoryDays = (puuid, limit = 30) => {
+    if (!puuid || !db || !stmts?.getShopHistoryDays) return [];
+    return stmts.getShopHistoryDays.all(puuid, limit).map(row => row.day);
+};
+
+/**
+ * @returns {{day: string, store: string, cost: number|null, discount: number|null}[]} most recent first
+ */
+export const getItemShopHistory = (puuid, itemUuid) => {
+    if (!puuid || !itemUuid || !db || !stmts?.getItemShopHistory) return [];
+    return stmts.getItemShopHistory.all(puuid, itemUuid);
+};
+
+/**
+ * @returns {{shops: number, firstDay: string|null, lastDay: string|null}} how many daily shops of the account were seen
+ */
+export const getShopHistorySummary = (puuid) => {
+    if (!puuid || !db || !stmts?.getShopHistorySummary) return { shops: 0, firstDay: null, lastDay: null };
+    return stmts.getShopHistorySummary.get(puuid);
+};
+
+/**
+ * @returns {{itemUuid: string, count: number, lastSeen: string}[]} every skin seen in the account's daily shop, most seen first
+ */
+export const getShopHistoryItemCounts = (puuid) => {
+    if (!puuid || !db || !stmts?.getShopHistoryItemCounts) return [];
+    return stmts.getShopHistoryItemCounts.all(puuid);
+};
+
+/**
+ * @returns {{month: string, itemUuid: string, count: number}[]} the account's daily shop skins per YYYY-MM month, most recent first
+ */
+export const getShopHistoryMonths = (puuid) => {
+    if (!puuid || !db || !stmts?.getShopHistoryMonths) return [];
+    return stmts.getShopHistoryMonths.all(puuid);
+};
+
+/**
+ * The shop cache lives here rather than in each shard's memory,
+ * so that every shard sees it and it survives restarts.
+ *
+ * @returns {Object|null} the cache from addShopCache() in valorant/shop.js
+ */
+export const getShopCacheEntry = (puuid) => {
+    if (!puuid || !db || !stmts?.getShopCache) return null;
+    const row = stmts.getShopCache.get(puuid);
+    return row ? safeJsonParse(row.data, null, `shop cache of ${puuid}`) : null;
+};
+
+/**
+ * @param {string} puuid
+ * @param {Object} shopCache
+ * @param {number} expiresAt unix timestamp (seconds) after which nothing in it is valid anymore
+ */
+export const setShopCacheEntry = (puuid, shopCache, expiresAt) => {
+    if (!puuid || !db || !stmts?.setShopCache) return;
+    stmts.setShopCache.run(puuid, JSON.stringify(shopCache), expiresAt, Date.now());
+};
+
+export const deleteShopCacheEntry = (puuid) => {
+    if (!puuid || !db || !stmts?.deleteShopCache) return;
+    stmts.deleteShopCache.run(puuid);
+};
+
+export const clearShopCacheEntries = () => {
+    if (!db || !stmts?.clearShopCache) return 0;
+    return stmts.clearShopCache.run().changes;
+};
+
+// before is a unix timestamp in seconds, like the shop's expires fields
+export const pruneShopCacheEntries = (before) => {
+    if (!db || !stmts?.pruneShopCache) return 0;
+    return stmts.pruneShopCache.run(before).changes;
+};
+
+/**
+ * Count a shop towards the store stats of a day, once per account and day.
+ *
+ * @param {string} day YYYY-MM-DD, in UTC like the shop reset
+ * @param {string} puuid
+ * @param {string[]} items the skin uuids in the shop
+ * @returns {boolean} false if that account's shop was already counted that day
+ */
+export const addStoreStats = (day, puuid, items) => {
+    if (!puuid || !db || !stmts?.addStoreStatsUser) return false;
+    return runUserDbTransaction(() => {
+        if (!stmts.addStoreStatsUser.run(day, puuid).changes) return false;
+
+        stmts.addStoreStatsShop.run(day, 1);
+        for (const item of items) {
+            stmts.addStoreStatsItem.run(day, item, 1);
+            stmts.addStoreStatsSeen.run(item, day, day);
+        }
+        return true;
+    });
+};
+
+/**
+ * Import whole days of store stats (e.g. from the old stats.json).
+ * Days that are already in the database are left alone, so importing twice is harmless.
+ *
+ * @param {Record<string, {shopsIncluded: number, items: Record<string, number>, users?: string[]}>} days by YYYY-MM-DD day
+ * @returns {number|null} how many days were imported, null if the database isn't open
+ */
+export const importStoreStats = (days) => {
+    if (!db || !stmts?.hasStoreStatsDay) return null;
+    return runUserDbTransaction(() => {
+        let imported = 0;
+        // oldest first, so the gaps between appearances add up
+        for (const [day, dayStats] of Object.entries(days).sort(([a], [b]) => a.localeCompare(b))) {
+            if (stmts.hasStoreStatsDay.get(day)) continue;
+
+            stmts.addStoreStatsShop.run(day, dayStats.shopsIncluded || 0);
+            for (const [item, count] of Object.entries(dayStats.items || {})) {
+                stmts.addStoreStatsItem.run(day, item, count);
+                stmts.addStoreStatsSeen.run(item, day, day);
+            }
+            for (const puuid of dayStats.users || []) stmts.addStoreStatsUser.run(day, puuid);
+            imported++;
+        }
+        return imported;
+    });
+};
+
+/**
+ * @param {string} since YYYY-MM-DD, only days from then on are counted ("" for all of them)
+ * @returns {{shopsIncluded: number, items: Record<string, number>}} items sorted from most to least seen
+ */
+export const getStoreStats = (since = "") => {
+    if (!db || !stmts?.getStoreStatsItems) return { shopsIncluded: 0, items: {} };
+
+    const items = {};
+    for (const row of stmts.getStoreStatsItems.all(since)) items[row.itemUuid] = row.count;
+    return {
+        shopsIncluded: stmts.getStoreStatsShops.get(since).shopsIncluded,
+        items
+    };
+};
+
+/**
+ * @returns {{shopsIncluded: number, count: number, rank: number, total: number}}
+ *     rank is 0 if the item was never seen, total is how many different items were
+ */
+export const getStoreStatsForItem = (itemUuid, since = "") => {
+    if (!db || !stmts?.getStoreStatsItem) return { shopsIncluded: 0, count: 0, rank: 0, total: 0 };
+
+    const row = stmts.getStoreStatsItem.get(since, itemUuid, itemUuid);
+    return {
+        shopsIncluded: stmts.getStoreStatsShops.get(since).shopsIncluded,
+        count: row.count || 0,
+        rank: row.count ? row.above + 1 : 0,
+        total: row.total
+    };
+};
+
+/**
+ * @returns {{firstSeen: string, lastSeen: string, longestGap: number}|null} null if the item was never seen,
+ *     longestGap is the most days in a row it was missing between two of its appearances (0 for consecutive days)
+ */
+export const getStoreStatsSeen = (itemUuid) => {
+    if (!db || !stmts?.getStoreStatsSeen) return null;
+    return stmts.getStoreStatsSeen.get(itemUuid) || null;
+};
+
+/**
+ * Like getStoreStats(), but with every item ever seen (even before since), those not seen for the longest first.
+ */
+export const getStoreStatsByAbsence = (since = "") => {
+    if (!db || !stmts?.getStoreStatsAbsent) return { shopsIncluded: 0, items: {} };
+
+    const items = {};
+    for (const row of stmts.getStoreStatsAbsent.all(since)) items[row.itemUuid] = row.count;
+    return {
+        shopsIncluded: stmts.getStoreStatsShops.get(since).shopsIncluded,
+        items
+    };
+};
+
+// before is a YYYY-MM-DD day, everything older is deleted
+export const pruneStoreStats = (before) => {
+    if (!db || !stmts?.pruneStoreStatsDays) return 0;
+    return runUserDbTransaction(() => {
+        stmts.pruneStoreStatsItems.run(before);
+        stmts.pruneStoreStatsUsers.run(before);
+        return stmts.pruneStoreStatsDays.run(before).changes;
+    });
+};
+
 export const runUserDbTransaction = (fn) => {
     if (!db) return fn();
     const transaction = db.transaction(fn);
@@ -121,6 +121,16 @@ export const WeaponTypeUuid = {
 
 export const WeaponType = Object.fromEntries(Object.entries(WeaponTypeUuid).map(([k, v]) => [v, k]));
 
+export const RarityTierUuid = {
+    Select: "12683d76-48d7-84a3-4e09-6985794f0445",
+    Deluxe: "0cebb8be-46d7-c12a-d306-e9907bfc5a25",
+    Premium: "60bca009-4182-7998-dee7-b8a2558dc369",
+    Exclusive: "e046854e-406c-37f4-6607-19a9ba8426fc",
+    Ultra: "411e4a55-4e59-7757-41f0-86a53f101bb5"
+};
+
+export const RarityTier = Object.fromEntries(Object.entries(RarityTierUuid).map(([k, v]) => [v, k]));
+
 export const WEAPON_CATEGORIES = [
     {
         nameKey: "COLLECTION_CATEGORY_SIDEARMS",
@@ -313,6 +323,53 @@ export const isSameDay = (t1, t2) => {
         d1.getUTCDate() === d2.getUTCDate();
 };
 
+/**
+ * Roughly how much some VP costs in a currency from config.currencies,
+ * going by the VP pack with the best value.
+ *
+ * @param {number} vp
+ * @param {string} currency e.g. "EUR"
+ * @returns {string|null} formatted with the currency's format, e.g. "€21.72"
+ */
+export const vpToMoney = (vp, currency) => {
+    const currencyConfig = config.currencies?.[currency];
+    if (!vp || !currencyConfig?.packs) return null;
+
+    const rates = Object.entries(currencyConfig.packs).map(([packVp, price]) => price / parseInt(packVp)).filter(rate => rate > 0);
+    if (!rates.length) return null;
+
+    const amount = (vp * Math.min(...rates)).toFixed(currencyConfig.decimals ?? 2);
+    return (currencyConfig.format || `{v} ${currency}`).replace("{v}", amount);
+};
+
+// a YYYY-MM-DD day that exists, like the ones the shop history is stored by
+export const isValidShopDay = (day) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return false;
+    const date = new Date(day);
+    return !isNaN(date) && date.toISOString().startsWith(day);
+};
+
+export const isValidTimezone = (timeZone) => {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// offset of an IANA timezone from UTC in minutes at a given time, e.g. 120 for Europe/Paris in summer
+export const timezoneOffset = (timeZone, timestamp = Date.now()) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+        timeZone, hourCycle: "h23",
+        year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric"
+    }).formatToParts(new Date(timestamp)).map(part => [part.type, parseInt(part.value)]));
+
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return Math.round((localAsUtc - Math.floor(timestamp / 60000) * 60000) / 60000);
+};
+
 export const ordinalSuffix = (number) => {
     return number % 100 >= 11 && number % 100 <= 13 ? "th" : ["th", "st", "nd", "rd"][(number % 10 < 4) ? number % 10 : 0];
 };
\ No newline at end of file
@@ -1,6 +1,8 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import fs from "node:fs";
+import http from "node:http";
+import net from "node:net";
 
 import {
     decodeToken,
@@ -11,8 +13,12 @@ import {
     isSameDay,
     ordinalSuffix,
     removeDupeAlerts,
+    isValidTimezone,
+    vpToMoney,
+    timezoneOffset,
     WeaponType,
     WeaponTypeUuid,
+    RarityTierUuid,
     WEAPON_CATEGORIES
 } from "../misc/util.js";
 
@@ -36,6 +42,36 @@ import {
     updateSingleAccountInDb,
     beginBatchWrites,
     commitBatchWrites,
+    addAlertHistory,
+    getAlertHistory,
+    countAlertHistory,
+    pruneAlertHistory,
+    getGuildWatch,
+    getAllGuildWatches,
+    saveGuildWatch,
+    deleteGuildWatch,
+    addDeliveryTarget,
+    getDeliveryTargets,
+    startAlertRun,
+    finishAlertRun,
+    getUnfinishedAlertRun,
+    getAlertRunProgress,
+    addAlertRunProgress,
+    pruneAlertRuns,
+    addToOutbox,
+    getDueOutbox,
+    rescheduleOutbox,
+    getDigest,
+    saveDigest,
+    addShopHistory,
+    getShopHistoryDay,
+    getShopHistoryDays,
+    getItemShopHistory,
+    getShopCacheEntry,
+    setShopCacheEntry,
+    pruneShopCacheEntries,
+    importStoreStats,
+    getStoreStats,
     closeUserDatabase
 } from "../misc/userDatabase.js";
 
@@ -48,11 +84,14 @@ import {
 } from "../misc/settings.js";
 
 import { User, getPuuid } from "../valorant/auth.js";
-import { formatNightMarket } from "../valorant/shop.js";
-import { getPrice } from "../valorant/cache.js";
-import { getStatsFor, getOverallStats, addStore } from "../misc/stats.js";
-import { basicEmbed, secondaryEmbed, actionRow, removeAlertButton, collectionModeButtons, weaponSelectDropdown, statsForSkinEmbed, getSkinLevels, getRankColor, getTierName, formatSeason, getPlayerTitle, resolvePeakRankString, renderProgressBar, renderCompetitiveMatchHistory, renderProfile, renderCollection, profileButtons, competitiveHistoryButtons, replyOrFollowUp, deferInteraction } from "../discord/embed.js";
+import { formatNightMarket, shopHistoryItems, getShopCache, clearShopCache, planBudget } from "../valorant/shop.js";
+import { getPrice, diffCatalogs } from "../valorant/cache.js";
+import { getStatsFor, getOverallStats, addStore, getShopScore, pruneStats, getPersonalStats, getPersonalStatsFor, getPersonalOverallStats, chanceInNextDays, getStatsBreakdown } from "../misc/stats.js";
+import { basicEmbed, secondaryEmbed, actionRow, removeAlertButton, collectionModeButtons, weaponSelectDropdown, statsForSkinEmbed, getSkinLevels, getRankColor, getTierName, formatSeason, getPlayerTitle, resolvePeakRankString, renderProgressBar, renderCompetitiveMatchHistory, renderProfile, renderCollection, profileButtons, competitiveHistoryButtons, replyOrFollowUp, deferInteraction, setEmbedClient } from "../discord/embed.js";
 import { renderLiveGame } from "../discord/livegameEmbed.js";
+import { deliverToTarget, isDiscordWebhook, sendDailyShopWebhooks, webhookDeliveriesDone, webhookUrlError, WEBHOOK_PAYLOAD_VERSION } from "../discord/webhooks.js";
+import config from "../misc/config.js";
+import { nightMarketAlertMatches, bundleAlertMatches, accessoryAlertMatches, skinMatchesRule, parseAlertExpiry, isAlertExpired, guildWatchMatches, dailyShopDeliveryTime, exportAlerts, parseAlertExport, importAlerts, alertsForUser, ownedSkinAlerts, retryOutbox, markNewDigestBundles, setAlertsClient } from "../discord/alerts.js";
 
 test("util: token decoding and expiration", () => {
     // Standard mock JWT with exp: 1900000000 (Fri, 15 Mar 2030) and sub: "mock-puuid-123"
@@ -104,6 +143,22 @@ test("util: helpers (isSameDay, ordinalSuffix, calcLength, removeDupeAlerts)", (
     assert.equal(deduplicated[1].uuid, "skin-2");
 });
 
+test("util: VP prices converted with the best-value pack", () => {
+    const previous = config.currencies;
+    config.currencies = {
+        EUR: { format: "{v} €", packs: { "475": 4.99, "1000": 9.99, "11000": 99.99 } },
+        JPY: { decimals: 0, packs: { "1000": 1100 } }
+    };
+    try {
+        assert.equal(vpToMoney(1775, "EUR"), "16.13 €");
+        assert.equal(vpToMoney(1775, "JPY"), "1953 JPY");
+        assert.equal(vpToMoney(1775, "USD"), null);
+        assert.equal(vpToMoney(0, "EUR"), null);
+    } finally {
+        config.currencies = previous;
+    }
+});
+
 test("languages: translation resolution and username hiding", () => {
     assert.equal(hideUsername("Player#NA1", true), "Player");
     assert.equal(hideUsername("Player#NA1", false), "Player#NA1");
@@ -255,6 +310,142 @@ test("valorant domain: User class, PUUID, and Night Market formatting", () => {
     assert.equal(formattedNM.offers[0].percent, 43);
 });
 
+test("alerts: night market matching honours min discount and past notifications", () => {
+    const now = Date.now();
+    const market = {
+        offers: [
+            { uuid: "skin-1", realPrice: 1775, nmPrice: 1100, percent: 38 },
+            { uuid: "skin-2", realPrice: 2175, nmPrice: 1950, percent: 10 },
+            { uuid: "skin-3", realPrice: 875, nmPrice: 500, percent: 43 }
+        ],
+        expires: Math.floor(now / 1000) + 3600
+    };
+    const alerts = [
+        { uuid: "skin-1", channel_id: "c1", min_discount: 30 },
+        { uuid: "skin-2", channel_id: "c1", min_discount: 30 },
+        { uuid: "skin-3", channel_id: "c2", nm_notified: market.expires },
+        { uuid: "skin-4", channel_id: "c2" }
+    ];
+
+    const matches = nightMarketAlertMatches(alerts, market, now);
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].alert.uuid, "skin-1");
+    assert.equal(matches[0].offer.nmPrice, 1100);
+
+    // once the previous market is over, the alert can fire again
+    const nextMarket = { ...market, expires: market.expires + 3600 };
+    const later = (market.expires + 1) * 1000;
+    assert.equal(nightMarketAlertMatches(alerts, nextMarket, later).map(m => m.alert.uuid).join(), "skin-1,skin-3");
+    assert.deepEqual(nightMarketAlertMatches(alerts, { offers: false }, now), []);
+});
+
+test("alerts: featured bundle matching for bundle alerts and skins inside bundles", () => {
+    const now = Date.now();
+    const bundles = [
+        { uuid: "bundle-1", expires: Math.floor(now / 1000) + 3600, items: [{ uuid: "skin-1" }, { uuid: "buddy-1" }] },
+        { uuid: "bundle-2", expires: Math.floor(now / 1000) + 7200, items: [{ uuid: "skin-2" }] }
+    ];
+    const alerts = [
+        { uuid: "skin-1", channel_id: "c1" },
+        { uuid: "bundle-2", channel_id: "c1", type: "bundle" },
+        { uuid: "skin-2", channel_id: "c1", min_discount: 20 },
+        { uuid: "skin-3", channel_id: "c2" },
+        { uuid: "bundle-1", channel_id: "c2", type: "bundle", bundle_notified: bundles[0].expires }
+    ];
+
+    const matches = bundleAlertMatches(alerts, bundles, now);
+    assert.deepEqual(matches.map(m => [m.alert.uuid, m.bundle.uuid]), [["skin-1", "bundle-1"], ["bundle-2", "bundle-2"]]);
+    assert.equal(matches[1].expires, bundles[1].expires);
+    assert.deepEqual(bundleAlertMatches(alerts, [], now), []);
+});
+
+test("alerts: accessory store matching by item type", () => {
+    const accessory = {
+        offers: [
+            { cost: 2000, rewards: [{ ItemTypeID: "dd3bf334-87f3-40bd-b043-682a57a8dc3a", ItemID: "buddy-1", Quantity: 1 }] },
+            { cost: 3000, rewards: [{ ItemTypeID: "de7caa6b-adf7-4588-bbd1-143831e786c6", ItemID: "title-1", Quantity: 1 }] }
+        ],
+        expires: Math.floor(Date.now() / 1000) + 3600
+    };
+    const alerts = [
+        { uuid: "buddy-1", channel_id: "c1", type: "buddy" },
+        { uuid: "title-1", channel_id: "c1", type: "card" },
+        { uuid: "buddy-1", channel_id: "c1" }
+    ];
+
+    const matches = accessoryAlertMatches(alerts, accessory);
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].alert.type, "buddy");
+    assert.equal(matches[0].offer.cost, 2000);
+    assert.equal(matches[0].expires, accessory.expires);
+});
+
+test("alerts: rule matching by weapon, rarity, max price and skin line", () => {
+    const skin = {
+        uuid: "skin-1",
+        weapon: WeaponTypeUuid.Vandal,
+        rarity: "e046854e-406c-37f4-6607-19a9ba8426fc",
+        assetPath: "ShooterGame/Content/Equippables/Guns/Rifles/AK/Prime/AK_Prime_PrimaryAsset"
+    };
+
+    assert.equal(skinMatchesRule(skin, 1775, { weapon: WeaponTypeUuid.Vandal }), true);
+    assert.equal(skinMatchesRule(skin, 1775, { weapon: WeaponTypeUuid.Knife }), false);
+    assert.equal(skinMatchesRule(skin, 1775, { rarity: "e046854e-406c-37f4-6607-19a9ba8426fc", maxPrice: 2000 }), true);
+    assert.equal(skinMatchesRule(skin, 2175, { maxPrice: 2000 }), false);
+    assert.equal(skinMatchesRule(skin, null, { maxPrice: 2000 }), false);
+    assert.equal(skinMatchesRule(skin, 1775, { line: "prime" }), true);
+    assert.equal(skinMatchesRule(skin, 1775, { line: "reaver" }), false);
+    assert.equal(skinMatchesRule(null, 1775, { line: "prime" }), false);
+});
+
+test("alerts: expiry parsing and expired alerts", () => {
+    const now = Date.UTC(2025, 5, 10, 12); // 2025-06-10 12:00 UTC
+
+    assert.equal(parseAlertExpiry("2025-06-12", now), Date.UTC(2025, 5, 13) / 1000);
+    assert.equal(parseAlertExpiry("7d", now), now / 1000 + 7 * 24 * 60 * 60);
+    assert.equal(parseAlertExpiry(" 3 ", now), now / 1000 + 3 * 24 * 60 * 60);
+    assert.equal(parseAlertExpiry("2025-06-09", now), null);
+    assert.equal(parseAlertExpiry("2025-02-31", now), null);
+    assert.equal(parseAlertExpiry("0d", now), null);
+    assert.equal(parseAlertExpiry("next week", now), null);
+
+    assert.equal(isAlertExpired({ uuid: "a" }, now), false);
+    assert.equal(isAlertExpired({ uuid: "a", expires_at: now / 1000 + 60 }, now), false);
+    assert.equal(isAlertExpired({ uuid: "a", expires_at: now / 1000 }, now), true);
+});
+
+test("alerts: daily shop delivery time in the user's timezone", () => {
+    const reset = Date.UTC(2025, 5, 10); // 2025-06-10 00:00 UTC
+
+    assert.equal(isValidTimezone("Europe/Paris"), true);
+    assert.equal(isValidTimezone("Mars/Olympus_Mons"), false);
+    assert.equal(timezoneOffset("Asia/Kolkata", reset), 330);
+    assert.equal(timezoneOffset("America/New_York", reset), -240);
+
+    assert.equal(dailyShopDeliveryTime(reset, 0, "UTC"), reset);
+    assert.equal(dailyShopDeliveryTime(reset, 8, "Europe/Paris"), Date.UTC(2025, 5, 10, 6));
+    assert.equal(dailyShopDeliveryTime(reset, 8, "America/New_York"), Date.UTC(2025, 5, 10, 12));
+    assert.equal(dailyShopDeliveryTime(reset, 1, "Asia/Kolkata"), Date.UTC(2025, 5, 10, 19, 30));
+
+    // clocks go forward at 01:00 UTC that day
+    const dstDay = Date.UTC(2025, 2, 30);
+    assert.equal(dailyShopDeliveryTime(dstDay, 8, "Europe/Paris"), Date.UTC(2025, 2, 30, 6));
+});
+
+test("alerts: only skin alerts for owned skins are pruned", () => {
+    const alerts = [
+        { uuid: "owned-skin", channel_id: "1" },
+        { uuid: "other-skin", channel_id: "1" },
+        { uuid: "owned-skin-2", channel_id: "2", min_discount: 30 },
+        { uuid: "owned-bundle", type: "bundle", channel_id: "1" },
+        { uuid: "rule-1", type: "rule", rule: { rarity: "exclusive" }, channel_id: "1" }
+    ];
+    const owned = ["owned-skin", "owned-skin-2", "owned-bundle", "rule-1"];
+
+    assert.deepEqual(ownedSkinAlerts(alerts, owned).map(alert => alert.uuid), ["owned-skin", "owned-skin-2"]);
+    assert.deepEqual(ownedSkinAlerts(alerts, []), []);
+});
+
 test("discord embed: basic and secondary embed builders", () => {
     const basic = basicEmbed("Operation successful");
     assert.equal(basic.description, "Operation successful");
@@ -389,6 +580,700 @@ test("userDatabase: auto-deduplication of alerts on read", () => {
     if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
 });
 
+test("userDatabase: alert history is paginated newest first and pruned by age", () => {
+    const testDbPath = "data/test_users_history.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+
+    addAlertHistory([
+        { userId: "history-user", puuid: "p1", alertUuid: "skin-a", itemUuid: "skin-a", store: "daily", channelId: "chan-1", status: "delivered", timestamp: 1000 },
+        { userId: "history-user", puuid: "p1", alertUuid: "rule-x", itemUuid: "skin-b", store: "daily", channelId: "chan-1", status: "failed", timestamp: 2000 },
+        { userId: "history-user", puuid: "p2", alertUuid: "bundle-c", itemUuid: "bundle-c", itemType: "bundle", store: "bundle", channelId: "chan-2", status: "inaccessible", timestamp: 3000 },
+        { userId: "other-user", alertUuid: "skin-a", itemUuid: "skin-a", store: "nightMarket", channelId: "chan-3", status: "delivered", timestamp: 4000 }
+    ]);
+
+    assert.equal(countAlertHistory("history-user"), 3);
+    const firstPage = getAlertHistory("history-user", 2, 0);
+    assert.deepEqual(firstPage.map(entry => entry.alertUuid), ["bundle-c", "rule-x"]);
+    assert.equal(firstPage[0].itemType, "bundle");
+    assert.equal(firstPage[0].status, "inaccessible");
+    assert.equal(firstPage[1].itemType, null);
+    assert.deepEqual(getAlertHistory("history-user", 2, 2).map(entry => entry.itemUuid), ["skin-a"]);
+
+    assert.equal(pruneAlertHistory(2500), 2);
+    assert.equal(countAlertHistory("history-user"), 1);
+    assert.equal(countAlertHistory("other-user"), 1);
+
+    closeUserDatabase();
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+});
+
+test("userDatabase: alert run checkpoints survive until the run finishes", () => {
+    const testDbPath = "data/test_users_runs.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+
+    const yesterday = startAlertRun("2025-06-09");
+    const today = startAlertRun("2025-06-10");
+    addAlertRunProgress(today, "user-1", "done");
+    addAlertRunProgress(today, "user-2", "1/daily");
+    addAlertRunProgress(today, "user-2", "1/daily");
+    addAlertRunProgress(yesterday, "user-3", "done");
+
+    // the bot restarts
+    closeUserDatabase();
+    initUserDatabase(testDbPath);
+    const run = getUnfinishedAlertRun("2025-06-10");
+    assert.equal(run.id, today);
+    assert.deepEqual(getAlertRunProgress(run.id).map(({ userId, step }) => `${userId}/${step}`).sort(), ["user-1/done", "user-2/1/daily"]);
+
+    pruneAlertRuns("2025-06-10");
+    assert.equal(getUnfinishedAlertRun("2025-06-09"), null);
+    assert.deepEqual(getAlertRunProgress(yesterday), []);
+
+    finishAlertRun(today);
+    assert.equal(getUnfinishedAlertRun("2025-06-10"), null);
+
+    closeUserDatabase();
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+});
+
+test("alerts: export and import through a file", async () => {
+    const testDbPath = "data/test_users_export.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+
+    const account = (puuid, username, alerts) => ({ puuid, userId: "export-user", username, region: "eu", auth: null, alerts, authFailures: 0, lastFetchedData: 0, lastNoticeSeen: "", lastSawEasterEgg: 0 });
+    saveUserToDb({
+        id: "export-user",
+        currentAccount: 1,
+        settings: {},
+        accounts: [
+            account("export-puuid-1", "First#EU", [{ uuid: "rule-1", type: "rule", rule: { rarity: RarityTierUuid.Exclusive }, channel_id: "111", once: true }]),
+            account("export-puuid-2", "Second#EU", [{ uuid: "rule-2", type: "rule", rule: { maxPrice: 1775 }, channel_id: "222", nm_notified: 1234 }])
+        ]
+    });
+
+    const exported = await exportAlerts("export-user");
+    assert.deepEqual(exported.alerts, [
+        { account: "First#EU", name: null, uuid: "rule-1", type: "rule", rule: { rarity: RarityTierUuid.Exclusive }, channel_id: "111", once: true },
+        { account: "Second#EU", name: null, uuid: "rule-2", type: "rule", rule: { maxPrice: 1775 }, channel_id: "222" }
+    ]);
+
+    assert.equal(parseAlertExport("not json"), null);
+    assert.equal(parseAlertExport(JSON.stringify({ version: 99, alerts: [] })), null);
+    const file = JSON.stringify({
+        ...exported,
+        alerts: [
+            ...exported.alerts,
+            { account: "Second#EU", uuid: "rule-3", type: "rule", rule: { weapon: WeaponTypeUuid.Vandal }, expires_at: 1 },
+            { account: "Second#EU", uuid: "what", type: "sticker" },
+            { account: "Second#EU", type: "rule" },
+            // rules /alert couldn't have made
+            { account: "Second#EU", uuid: "rule-4", type: "rule", rule: {} },
+            { account: "Second#EU", uuid: "rule-5", type: "rule", rule: { bundle: "some-bundle" } },
+            { account: "Second#EU", uuid: "rule-6", type: "rule", rule: { weapon: "x" } },
+            { account: "Second#EU", uuid: "rule-7", type: "rule", rule: { rarity: WeaponTypeUuid.Vandal } },
+            { account: "Second#EU", uuid: "rule-8", type: "rule", rule: { maxPrice: "1775" } },
+            { account: "Second#EU", uuid: "rule-9", type: "rule", rule: { maxPrice: -1 } },
+            { account: "Second#EU", uuid: "rule-10", type: "rule", rule: { line: 42 } },
+            { account: "Second#EU", uuid: "rule-11", type: "rule", rule: { maxPrice: 1775, script: "x" } },
+            { account: "Second#EU", uuid: "rule-12", type: "rule", rule: [1] },
+            // bad options
+            { account: "Second#EU", uuid: "rule-13", type: "rule", rule: { maxPrice: 1775 }, once: "yes" },
+            { account: "Second#EU", uuid: "rule-14", type: "rule", rule: { maxPrice: 1775 }, min_discount: 150 },
+            { account: "Second#EU", uuid: "rule-15", type: "rule", rule: { maxPrice: 1775 }, expires_at: "tomorrow" }
+        ]
+    });
+    const exportedAlerts = parseAlertExport(file);
+    assert.equal(exportedAlerts.length, 16);
+
+    saveUserToDb({
+        id: "export-user",
+        currentAccount: 1,
+        settings: {},
+        accounts: [account("export-puuid-1", "First#EU", []), account("export-puuid-2", "Second#EU", [])]
+    });
+
+    // the bot can't see any channel here, so every alert ends up in the user's DMs
+    const interaction = { user: { id: "export-user", createDM: async () => ({ id: "999" }) }, channelId: "333" };
+    const result = await importAlerts(interaction, exportedAlerts);
+    assert.deepEqual(result, { imported: 2, retargeted: 2, skipped: 14 });
+    assert.deepEqual(alertsForUser("export-user", 1), [{ uuid: "rule-1", type: "rule", rule: { rarity: RarityTierUuid.Exclusive }, channel_id: "999", once: true }]);
+    assert.deepEqual(alertsForUser("export-user", 2), [{ uuid: "rule-2", type: "rule", rule: { maxPrice: 1775 }, channel_id: "999" }]);
+
+    closeUserDatabase();
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+});
+
+test("alerts: imported alerts only keep channels the importing user can send in", async () => {
+    const testDbPath = "data/test_users_import.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+    saveUserToDb({
+        id: "import-user",
+        currentAccount: 1,
+        settings: {},
+        accounts: [{ puuid: "import-puuid", userId: "import-user", username: "Import#EU", region: "eu", auth: null, alerts: [], authFailures: 0, lastFetchedData: 0, lastNoticeSeen: "", lastSawEasterEgg: 0 }]
+    });
+
+    // the bot can send everywhere, the user is only in one server and can't talk in one of its channels
+    const bot = { id: "bot" };
+    const member = { id: "import-user" };
+    const guild = (members) => ({ members: { fetch: async (userId) => members.find(m => m.id === userId) || Promise.reject(new Error("Unknown Member")) } });
+    const joinedGuild = guild([member]);
+    const otherGuild = guild([]);
+    const channels = {
+        "5001": { id: "5001", guild: joinedGuild, permissionsFor: () => ({ has: () => true }) },
+        "5002": { id: "5002", guild: joinedGuild, permissionsFor: (who) => ({ has: (permission) => who === bot || permission !== "SendMessages" }) },
+        "5003": { id: "5003", guild: otherGuild, permissionsFor: () => ({ has: () => true }) },
+        "5004": { id: "5004", guild: null, recipientId: "someone-else" },
+        "5005": { id: "5005", guild: joinedGuild, permissionsFor: () => ({ has: () => true }) }
+    };
+    const client = { user: bot, channels: { fetch: async (channelId) => channels[channelId] || null } };
+    setAlertsClient(client);
+    setEmbedClient(client);
+
+    try {
+        const rule = (uuid, channelId) => ({ account: "Import#EU", uuid, type: "rule", rule: { rarity: RarityTierUuid.Exclusive }, channel_id: channelId });
+        const interaction = { user: { id: "import-user", createDM: async () => ({ id: "5999" }) }, channelId: "5005" };
+        const result = await importAlerts(interaction, [rule("rule-a", "5001"), rule("rule-b", "5002"), rule("rule-c", "5003"), rule("rule-d", "5004")]);
+        assert.deepEqual(result, { imported: 4, retargeted: 3, skipped: 0 });
+        assert.deepEqual(alertsForUser("import-user", 1).map(alert => alert.channel_id), ["5001", "5005", "5005", "5005"]);
+    } finally {
+        setAlertsClient(null);
+        setEmbedClient(null);
+        closeUserDatabase();
+        if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+    }
+});
+
+test("outbox: failed deliveries come back when due and are given up on", async () => {
+    const testDbPath = "data/test_users_outbox.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+
+    const alertEntry = addToOutbox({ userId: "outbox-user", type: "alert", channelId: "111", payload: { id: "outbox-user", account: 1, alerts: [{ uuid: "skin-a", channel_id: "111" }] }, nextAttemptAt: 1000, error: "HTTP 503" });
+    addToOutbox({ userId: "outbox-user", type: "dailyShop", channelId: "222", payload: { id: "outbox-user", shop: { offers: [], expires: 1 }, channelId: "222" }, nextAttemptAt: 5000 });
+
+    const due = getDueOutbox(2000);
+    assert.equal(due.length, 1);
+    assert.equal(due[0].id, alertEntry);
+    assert.deepEqual(due[0].payload.alerts, [{ uuid: "skin-a", channel_id: "111" }]);
+    assert.equal(due[0].lastError, "HTTP 503");
+
+    rescheduleOutbox(alertEntry, 1, 9000);
+    assert.equal(getDueOutbox(2000).length, 0);
+    assert.deepEqual(getDueOutbox(9000).map(entry => [entry.type, entry.attempts]), [["dailyShop", 0], ["alert", 1]]);
+
+    // one has been retried enough, the other is for a shop that already reset
+    const previousMaxAttempts = config.outboxMaxAttempts;
+    config.outboxMaxAttempts = 1;
+    await retryOutbox();
+    config.outboxMaxAttempts = previousMaxAttempts;
+    assert.equal(getDueOutbox(Date.now()).length, 0);
+
+    closeUserDatabase();
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+});
+
+test("digest: saved per user, bundles flagged when they weren't in the last one", () => {
+    const testDbPath = "data/test_users_digest.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+
+    const page = (bundles) => ({ shop: null, matches: [], nightMarket: null, bundles: bundles.map(uuid => ({ uuid, expires: 100 })) });
+    assert.equal(getDigest("digest-user"), null);
+
+    // nothing to compare against the first time
+    saveDigest("digest-user", markNewDigestBundles({ expires: 100, accounts: { 1: page(["bundle-a"]) } }, getDigest("digest-user")));
+    assert.deepEqual(getDigest("digest-user").accounts[1].bundles, [{ uuid: "bundle-a", expires: 100, new: false }]);
+
+    const digest = markNewDigestBundles({ expires: 200, accounts: { 1: page(["bundle-a", "bundle-b"]), 2: page(["bundle-c"]) } }, getDigest("digest-user"));
+    assert.deepEqual(digest.accounts[1].bundles.map(bundle => bundle.new), [false, true]);
+    assert.deepEqual(digest.accounts[2].bundles.map(bundle => bundle.new), [false]);
+
+    saveDigest("digest-user", digest);
+    assert.equal(getDigest("digest-user").expires, 200);
+
+    closeUserDatabase();
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+});
+
+test("shop history: storefronts are remembered per account and day", () => {
+    const testDbPath = "data/test_users_shop_history.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+
+    const VP = "85ad13f7-3d1b-5128-9eb2-7cd8ee0b5741";
+    const items = shopHistoryItems({
+        SkinsPanelLayout: {
+            SingleItemOffers: ["skin-a", "skin-b"],
+            SingleItemStoreOffers: [{ OfferID: "skin-a", Cost: { [VP]: 1775 } }]
+        },
+        BonusStore: {
+            BonusStoreOffers: [{ Offer: { OfferID: "skin-c", Cost: { [VP]: 2175 } }, DiscountCosts: { [VP]: 1305 }, DiscountPercent: 40 }],
+            BonusStoreRemainingDurationInSeconds: 3600
+        },
+        AccessoryStore: {
+            AccessoryStoreOffers: [{ Offer: { Cost: { "85ca954a-41f2-ce94-9b45-8ca3dd39a00d": 3000 }, Rewards: [{ ItemTypeID: "type-card", ItemID: "card-a" }] } }]
+        }
+    });
+    assert.deepEqual(items, [
+        { store: "daily", itemUuid: "skin-a", cost: 1775 },
+        { store: "daily", itemUuid: "skin-b", cost: undefined },
+        { store: "nightMarket", itemUuid: "skin-c", cost: 1305, discount: 40 },
+        { store: "accessory", itemUuid: "card-a", itemType: "type-card", cost: 3000 }
+    ]);
+
+    addShopHistory("puuid-1", "2024-03-14", items);
+    addShopHistory("puuid-1", "2024-03-14", items); // fetched again the same day
+    addShopHistory("puuid-1", "2024-03-15", [{ store: "daily", itemUuid: "skin-b" }]);
+    addShopHistory("puuid-2", "2024-03-16", [{ store: "daily", itemUuid: "skin-a" }]);
+
+    assert.equal(getShopHistoryDay("puuid-1", "2024-03-14").length, 4);
+    assert.deepEqual(getShopHistoryDays("puuid-1"), ["2024-03-15", "2024-03-14"]);
+    assert.deepEqual(getItemShopHistory("puuid-1", "skin-b").map(entry => entry.day), ["2024-03-15", "2024-03-14"]);
+    assert.deepEqual(getItemShopHistory("puuid-1", "skin-c"), [{ day: "2024-03-14", store: "nightMarket", cost: 1305, discount: 40 }]);
+
+    closeUserDatabase();
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+});
+
+test("shop cache: kept in the database across restarts until it expires", async () => {
+    const testDbPath = "data/test_users_shop_cache.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+    const previousUseShopCache = config.useShopCache;
+    config.useShopCache = true;
+
+    const now = Math.floor(Date.now() / 1000);
+    const shopCache = {
+        offers: { offers: ["skin-a"], expires: now + 3600, accessory: { offers: [], expires: now + 3600 } },
+        bundles: [{ uuid: "bundle-a", expires: now + 7200 }],
+        night_market: null,
+        timestamp: Date.now()
+    };
+    setShopCacheEntry("puuid-1", shopCache, now + 7200);
+    setShopCacheEntry("puuid-2", { ...shopCache, offers: { ...shopCache.offers, expires: now - 60 } }, now - 60);
+
+    // like another shard or the bot after a restart
+    closeUserDatabase();
+    initUserDatabase(testDbPath);
+
+    assert.deepEqual((await getShopCache("puuid-1", "offers", false)).offers.offers, ["skin-a"]);
+    assert.equal(await getShopCache("puuid-2", "offers", false), null);
+    assert.equal(getShopCacheEntry("puuid-2"), null); // dropped once found expired
+
+    setShopCacheEntry("puuid-3", shopCache, now - 1);
+    assert.equal(pruneShopCacheEntries(now), 1);
+
+    await clearShopCache();
+    assert.equal(getShopCacheEntry("puuid-1"), null);
+
+    config.useShopCache = previousUseShopCache;
+    closeUserDatabase();
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+});
+
+test("stats: shop score is higher for rarer skins", async () => {
+    const testDbPath = "data/test_users_score.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+    const previousTrackStoreStats = config.trackStoreStats;
+    config.trackStoreStats = true;
+
+    await addStore("score-puuid-1", ["score-common", "score-rare"]);
+    await addStore("score-puuid-2", ["score-common"]);
+    await addStore("score-puuid-3", ["score-common"]);
+
+    const common = getShopScore(["score-common"]);
+    const rare = getShopScore(["score-rare"]);
+    assert.ok(common < rare);
+    assert.equal(getShopScore(["score-never-seen"]), 100);
+    assert.equal(getShopScore([]), null);
+
+    config.trackStoreStats = previousTrackStoreStats;
+    closeUserDatabase();
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+});
+
+test("stats: kept in the database, counted once per account and day, and expired", async () => {
+    const testDbPath = "data/test_users_stats.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+    const previousTrackStoreStats = config.trackStoreStats;
+    const previousExpiration = config.statsExpirationDays;
+    config.trackStoreStats = true;
+    config.statsExpirationDays = 14;
+
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const oldDays = {
+        [daysAgo(3)]: { shopsIncluded: 2, items: { "stats-a": 2, "stats-b": 1 }, users: ["p1", "p2"] },
+        [daysAgo(30)]: { shopsIncluded: 5, items: { "stats-c": 5 }, users: [] }
+    };
+    assert.equal(importStoreStats(oldDays), 2);
+    assert.equal(importStoreStats(oldDays), 0);
+
+    await addStore("p1", ["stats-b", "stats-d"]);
+    await addStore("p1", ["stats-b", "stats-d"]);
+
+    const overall = getOverallStats();
+    assert.equal(overall.shopsIncluded, 3);
+    assert.deepEqual(overall.items, { "stats-a": 2, "stats-b": 2, "stats-d": 1 });
+    assert.deepEqual(getStatsFor("stats-d").rank, [3, 3]);
+    assert.equal(getStatsFor("stats-c").count, 0);
+
+    assert.equal(getStoreStats("").shopsIncluded, 8);
+    pruneStats();
+    assert.equal(getStoreStats("").shopsIncluded, 3);
+    assert.equal(getStoreStats("").items["stats-c"], undefined);
+
+    config.trackStoreStats = previousTrackStoreStats;
+    config.statsExpirationDays = previousExpiration;
+    closeUserDatabase();
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+});
+
+test("stats: when skins were last seen, their longest gap and the chance to see them", () => {
+    const testDbPath = "data/test_users_drought.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+    const previousTrackStoreStats = config.trackStoreStats;
+    const previousExpiration = config.statsExpirationDays;
+    config.trackStoreStats = true;
+    config.statsExpirationDays = 0;
+
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    importStoreStats({
+        [daysAgo(3)]: { shopsIncluded: 2, items: { "drought-a": 1, "drought-b": 1 } },
+        [daysAgo(20)]: { shopsIncluded: 1, items: { "drought-a": 1 } },
+        [daysAgo(10)]: { shopsIncluded: 1, items: { "drought-a": 1, "drought-c": 1 } }
+    });
+
+    const stats = getStatsFor("drought-a");
+    assert.equal(stats.lastSeen, daysAgo(3));
+    assert.equal(stats.daysSince, 3);
+    assert.equal(stats.longestGap, 9);
+    assert.equal(getStatsFor("drought-c").longestGap, 10);
+    assert.equal(stats.chance7, chanceInNextDays(3, 4, 7));
+    assert.equal(getStatsFor("drought-never").lastSeen, null);
+
+    assert.deepEqual(Object.keys(getOverallStats("absent").items), ["drought-c", "drought-a", "drought-b"]);
+
+    assert.equal(chanceInNextDays(1, 4, 1), 25);
+    assert.equal(chanceInNextDays(1, 2, 2), 75);
+    assert.equal(chanceInNextDays(0, 4, 30), 0);
+
+    config.trackStoreStats = previousTrackStoreStats;
+    config.statsExpirationDays = previousExpiration;
+    closeUserDatabase();
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+});
+
+test("stats: breakdown of the shop appearances compared to the catalog", () => {
+    const skins = [
+        { uuid: "v1", weapon: "vandal" },
+        { uuid: "v2", weapon: "vandal" },
+        { uuid: "p1", weapon: "phantom" },
+        { uuid: "k1", weapon: "knife" },
+        { uuid: "x1", weapon: null }
+    ];
+    const stats = { shopsIncluded: 4, items: { "v1": 2, "k1": 4, "p1": 2, "x1": 5, "unknown": 3 } };
+
+    const breakdown = getStatsBreakdown(stats, skins, skin => skin.weapon);
+    assert.deepEqual(Object.keys(breakdown), ["knife", "vandal", "phantom"]);
+    assert.deepEqual(breakdown.knife, { appearances: 4, perShop: 1, share: 50, catalogShare: 25 });
+    assert.deepEqual(breakdown.vandal, { appearances: 2, perShop: 0.5, share: 25, catalogShare: 50 });
+});
+
+test("stats: personal stats come from the account's own shop history", () => {
+    const testDbPath = "data/test_users_personal_stats.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    addShopHistory("me", daysAgo(40), [{ store: "daily", itemUuid: "skin-a" }, { store: "daily", itemUuid: "skin-b" }]);
+    addShopHistory("me", daysAgo(5), [{ store: "daily", itemUuid: "skin-a" }, { store: "nightMarket", itemUuid: "skin-c", discount: 30 }]);
+    addShopHistory("someone-else", daysAgo(1), [{ store: "daily", itemUuid: "skin-b" }]);
+
+    const stats = getPersonalStats("me");
+    assert.equal(stats.shopsIncluded, 2);
+    assert.equal(stats.firstDay, daysAgo(40));
+    assert.deepEqual(stats.items.map(item => [item.uuid, item.count, item.daysSince]), [["skin-a", 2, 5], ["skin-b", 1, 40]]);
+    assert.equal(stats.items[0].percentage, 100);
+    assert.equal(stats.months[0].month, daysAgo(5).slice(0, 7));
+
+    assert.equal(getPersonalStatsFor("me", "skin-b").lastSeen, daysAgo(40));
+    assert.equal(getPersonalStatsFor("me", "skin-c").count, 0);
+    assert.equal(getPersonalStats("nobody").shopsIncluded, 0);
+    assert.deepEqual(getPersonalOverallStats("me"), { shopsIncluded: 2, items: { "skin-a": 2, "skin-b": 1 } });
+
+    closeUserDatabase();
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+});
+
+test("patch: new items and changed prices between two catalogs", () => {
+    const previous = {
+        version: "old",
+        skins: { "skin-a": 1775, "skin-b": null, "skin-c": 875 },
+        bundles: { "bundle-a": 7100 },
+        cards: ["card-a"],
+        titles: ["title-a"]
+    };
+    const current = {
+        version: "new",
+        skins: { "skin-a": 2175, "skin-b": 1275, "skin-c": 875, "skin-d": null },
+        bundles: { "bundle-a": 7100, "bundle-b": 8700 },
+        cards: ["card-a", "card-b"],
+        titles: ["title-a"]
+    };
+
+    const diff = diffCatalogs(previous, current);
+    assert.deepEqual(diff.newSkins, ["skin-d"]);
+    assert.deepEqual(diff.newBundles, ["bundle-b"]);
+    assert.deepEqual(diff.newCards, ["card-b"]);
+    assert.deepEqual(diff.newTitles, []);
+    assert.deepEqual(diff.changedPrices, [{ uuid: "skin-a", type: "skin", before: 1775, after: 2175 }]);
+});
+
+test("budget: affordable items, what's missing and the most that fits", () => {
+    const items = [
+        { uuid: "a", price: 2175 },
+        { uuid: "b", price: 875 },
+        { uuid: "c", price: 1775 },
+        { uuid: "d", price: 4350 },
+        { uuid: "e", price: null } // price unknown
+    ];
+
+    const plan = planBudget(items, 3000);
+    assert.deepEqual(plan.affordable.map(item => item.uuid), ["b", "c", "a"]);
+    assert.deepEqual(plan.missing.map(item => [item.uuid, item.needed]), [["d", 1350]]);
+    assert.deepEqual(plan.combination.items.map(item => item.uuid), ["b", "c"]);
+    assert.equal(plan.combination.total, 2650);
+    assert.equal(plan.combination.left, 350);
+
+    assert.equal(planBudget(items, 0).combination.items.length, 0);
+});
+
+test("userDatabase: guild watch lists and matching them against a shop", () => {
+    const testDbPath = "data/test_users_watch.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+
+    saveGuildWatch({ guildId: "guild-1", channelId: "chan-1", skins: ["skin-a", "skin-b"] });
+    saveGuildWatch({ guildId: "guild-2", channelId: "chan-2", skins: ["skin-c"] });
+    saveGuildWatch({ guildId: "guild-1", channelId: "chan-3", skins: ["skin-a", "skin-b", "skin-d"] });
+
+    assert.deepEqual(getGuildWatch("guild-1"), { guildId: "guild-1", channelId: "chan-3", skins: ["skin-a", "skin-b", "skin-d"] });
+    assert.equal(getGuildWatch("guild-3"), null);
+    assert.equal(getAllGuildWatches().length, 2);
+
+    const matches = guildWatchMatches(getAllGuildWatches(), ["skin-d", "skin-x", "skin-a", "skin-y"]);
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].watch.guildId, "guild-1");
+    assert.deepEqual(matches[0].skins, ["skin-a", "skin-d"]);
+
+    deleteGuildWatch("guild-1");
+    assert.equal(getGuildWatch("guild-1"), null);
+    assert.equal(guildWatchMatches(getAllGuildWatches(), ["skin-a"]).length, 0);
+
+    closeUserDatabase();
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+});
+
+test("webhooks: payload delivered to a local endpoint with retries and failure counting", async () => {
+    const testDbPath = "data/test_users_webhooks.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+    Object.assign(config, { webhookAllowHttp: true, webhookAllowPrivateHosts: true, webhookTimeout: 2000, webhookRetries: 2, webhookRetryDelay: 5, webhookMaxFailures: 2 });
+
+    const received = [];
+    let failNext = 0;
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => body += chunk);
+        req.on("end", () => {
+            received.push(JSON.parse(body));
+            if (failNext > 0) {
+                failNext--;
+                res.writeHead(500);
+                res.end("oops");
+            } else {
+                res.writeHead(204);
+                res.end();
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/hook`;
+
+    try {
+        assert.equal(await webhookUrlError(url), null);
+        assert.equal(await webhookUrlError("not a url"), "WEBHOOK_INVALID_URL");
+        config.webhookAllowHttp = false;
+        assert.equal(await webhookUrlError(url), "WEBHOOK_INVALID_URL");
+        config.webhookAllowHttp = true;
+        assert.equal(isDiscordWebhook("https://discord.com/api/webhooks/123/abc-DEF_1"), true);
+        assert.equal(isDiscordWebhook(url), false);
+
+        addDeliveryTarget("hook-user", "http", url, "all");
+        const target = getDeliveryTargets("hook-user")[0];
+        const payload = { version: WEBHOOK_PAYLOAD_VERSION, event: "test", timestamp: 1, user: { id: "hook-user", account: null }, items: [] };
+
+        // one failure, then the retry goes through
+        failNext = 1;
+        assert.equal((await deliverToTarget(target, payload)).success, true);
+        assert.equal(received.length, 2);
+        assert.deepEqual(received[1], payload);
+        assert.equal(getDeliveryTargets("hook-user")[0].failures, 0);
+        assert.ok(getDeliveryTargets("hook-user")[0].lastDeliveredAt);
+
+        // every attempt fails, disabled after webhookMaxFailures failed deliveries
+        failNext = 100;
+        assert.equal((await deliverToTarget(target, payload)).success, false);
+        assert.equal(received.length, 5);
+        let stored = getDeliveryTargets("hook-user")[0];
+        assert.equal(stored.failures, 1);
+        assert.equal(stored.disabled, 0);
+        assert.match(stored.lastError, /HTTP 500/);
+
+        await deliverToTarget(target, payload);
+        stored = getDeliveryTargets("hook-user")[0];
+        assert.equal(stored.failures, 2);
+        assert.equal(stored.totalFailures, 2);
+        assert.equal(stored.disabled, 1);
+        assert.doesNotMatch(stored.lastError, /oops/);
+
+        // local and private addresses are refused, when adding and when sending
+        config.webhookAllowPrivateHosts = false;
+        for (const blocked of [url, "http://localhost/hook", "http://[::1]/hook", "http://[::ffff:7f00:1]/hook", "http://169.254.169.254/latest", "http://10.1.2.3/", "http://0.0.0.0/"]) {
+            assert.equal(await webhookUrlError(blocked), "WEBHOOK_BLOCKED_HOST", blocked);
+        }
+        const before = received.length;
+        const result = await deliverToTarget({ ...target, id: -1 }, payload);
+        assert.deepEqual(result, { success: false, error: "Address not allowed" });
+        assert.equal(received.length, before);
+    } finally {
+        config.webhookAllowPrivateHosts = true;
+        server.close();
+        closeUserDatabase();
+        if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+    }
+});
+
+test("webhooks: endless response bodies aren't read", async () => {
+    const testDbPath = "data/test_users_webhook_body.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+    Object.assign(config, { webhookAllowHttp: true, webhookAllowPrivateHosts: true, webhookTimeout: 2000, webhookRetries: 0 });
+
+    const intervals = [];
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on("end", () => {
+            res.writeHead(200);
+            intervals.push(setInterval(() => res.write("x".repeat(1024)), 5));
+        });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+        addDeliveryTarget("body-user", "http", `http://127.0.0.1:${server.address().port}/hook`, "all");
+        const target = getDeliveryTargets("body-user")[0];
+        const payload = { version: WEBHOOK_PAYLOAD_VERSION, event: "test", timestamp: 1, user: { id: "body-user", account: null }, items: [] };
+        assert.deepEqual(await deliverToTarget(target, payload), { success: true });
+    } finally {
+        intervals.forEach(clearInterval);
+        server.closeAllConnections();
+        server.close();
+        closeUserDatabase();
+        if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+    }
+});
+
+test("webhooks: endpoints that answer a byte at a time still time out", async () => {
+    const testDbPath = "data/test_users_webhook_trickle.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+    Object.assign(config, { webhookAllowHttp: true, webhookAllowPrivateHosts: true, webhookTimeout: 300, webhookRetries: 0 });
+
+    // never idle for webhookTimeout, but never done sending the headers either
+    const intervals = [];
+    const server = net.createServer(socket => {
+        socket.on("error", () => { });
+        socket.write("HTTP/1.1 200 OK\r\nX-Slow: ");
+        intervals.push(setInterval(() => socket.write("x"), 20));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+        addDeliveryTarget("trickle-user", "http", `http://127.0.0.1:${server.address().port}/hook`, "all");
+        const target = getDeliveryTargets("trickle-user")[0];
+        const payload = { version: WEBHOOK_PAYLOAD_VERSION, event: "test", timestamp: 1, user: { id: "trickle-user", account: null }, items: [] };
+
+        const start = Date.now();
+        assert.deepEqual(await deliverToTarget(target, payload), { success: false, error: "Timed out" });
+        assert.ok(Date.now() - start < 2000);
+    } finally {
+        intervals.forEach(clearInterval);
+        server.close();
+        closeUserDatabase();
+        if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+    }
+});
+
+test("webhooks: slow endpoints don't hold up the sender and get deliveries in order", async () => {
+    const testDbPath = "data/test_users_webhook_queue.db";
+    if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+
+    initUserDatabase(testDbPath);
+    Object.assign(config, { webhookAllowHttp: true, webhookAllowPrivateHosts: true, webhookTimeout: 2000, webhookRetries: 0 });
+
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => body += chunk);
+        req.on("end", () => setTimeout(() => {
+            received.push(JSON.parse(body));
+            res.writeHead(204);
+            res.end();
+        }, 100));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+        addDeliveryTarget("queue-user", "http", `http://127.0.0.1:${server.address().port}/hook`, "dailyShop");
+
+        await sendDailyShopWebhooks("queue-user", 1, { offers: [], expires: 1 });
+        await sendDailyShopWebhooks("queue-user", 1, { offers: [], expires: 2 });
+        assert.equal(received.length, 0);
+
+        await webhookDeliveriesDone();
+        assert.deepEqual(received.map(payload => payload.expires), [1, 2]);
+        assert.ok(getDeliveryTargets("queue-user")[0].lastDeliveredAt);
+    } finally {
+        server.close();
+        closeUserDatabase();
+        if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
+    }
+});
+
 test("auth: refreshToken preserves credentials on rate limit or network error", async () => {
     const testDbPath = "data/test_users_auth.db";
     if (fs.existsSync(testDbPath)) fs.unlinkSync(testDbPath);
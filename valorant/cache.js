@@ -41,6 +41,11 @@ let lastBundleFetch = 0;
 // Prevents getSkin()/getBundle()/etc. from entering fetchData() on every call.
 let dataFullyLoaded = false;
 
+// The catalog of the game version before the current one, to tell what a patch added.
+// Written by shard 0 when it sees a new version, read by every shard for /patch.
+const CATALOG_SNAPSHOT_FILE = "data/catalog_snapshot.json";
+const gameVersionListeners = [];
+
 // In-flight promise guards — prevents concurrent callers from firing duplicate requests.
 let versionFetchPromise = null;
 let fetchDataPromise = null;
@@ -265,10 +270,16 @@ export const fetchData = async (types = null, checkVersion = false) => {
 }
 
 const _fetchDataImpl = async (types = null, checkVersion = false) => {
+    let previousCatalog = null, versionName = null;
     try {
         if (checkVersion || !gameVersion) {
-            gameVersion = (await getValorantVersion()).manifestId;
+            const versionData = await getValorantVersion();
+            gameVersion = versionData.manifestId;
+            versionName = versionData.version;
             await loadSkinsJSON();
+
+            // skins.json still has the catalog of the version we saw last
+            if (isShardZero() && skins?.version && skins.version !== gameVersion) previousCatalog = catalogSnapshot();
         }
 
         if (types === null) types = [skins, prices, bundles, rarities, buddies, cards, sprays, titles, battlepass, flexes];
@@ -307,6 +318,8 @@ const _fetchDataImpl = async (types = null, checkVersion = false) => {
 
         // we fetched the skins, tell other shards to load them
         sendShardMessage({ type: "skinsReload" });
+
+        if (previousCatalog && skins?.version === gameVersion) await newGameVersion(previousCatalog, versionName);
     } catch (e) {
         console.error("There was an error while trying to fetch skin data!");
         console.error(e);
@@ -795,6 +808,7 @@ export const getItem = async (uuid, type) => {
         case itemTypes.CARD: return await getCard(uuid);
         case itemTypes.SPRAY: return await getSpray(uuid);
         case itemTypes.TITLE: return await getTitle(uuid);
+        case itemTypes.FLEX: return await getFlex(uuid);
     }
 }
 
@@ -890,7 +904,7 @@ export const searchSkin = async (query, locale, limit = 20, threshold = -5000) =
     });
 }
 
-const extractBundleCode = (path) => {
+export const extractBundleCode = (path) => {
     if (!path) return null;
     const m = path.match(/StorefrontItem_([A-Za-z0-9]+?)(?:_ThemeBundle|ThemeBundle|_DataAsset|DataAsset)/i);
     return m ? m[1].toLowerCase() : null;
@@ -1017,6 +1031,30 @@ export const searchBundle = async (query, locale, limit = 20, threshold = -1000)
     return results;
 }
 
+// search buddies, cards, sprays, titles and flexes at once.
+// each result's obj has an extra "type" property with the item type uuid.
+export const searchAccessory = async (query, locale, limit = 20, threshold = -5000) => {
+    await fetchData([buddies, cards, sprays, titles, flexes]);
+
+    const valLocale = discToValLang[locale];
+    const keys = [`names.${valLocale}`];
+    if (valLocale !== DEFAULT_VALORANT_LANG) keys.push(`names.${DEFAULT_VALORANT_LANG}`);
+
+    const accessories = [];
+    for (const [type, items] of [[itemTypes.BUDDY, buddies], [itemTypes.CARD, cards], [itemTypes.SPRAY, sprays], [itemTypes.TITLE, titles], [itemTypes.FLEX, flexes]]) {
+        for (const item of Object.values(items || {})) {
+            if (typeof item === "object" && item.names) accessories.push({ ...item, type });
+        }
+    }
+
+    return fuzzysort.go(query, accessories, {
+        keys: keys,
+        limit: limit,
+        threshold: threshold,
+        all: true
+    });
+}
+
 export const getBuddy = async (uuid) => {
     if (!buddies) await fetchData([buddies]);
     return buddies[uuid];
@@ -1046,3 +1084,89 @@ export const getBattlepassInfo = async () => {
     if (!battlepass) await fetchData([battlepass]);
     return battlepass;
 }
+
+/**
+ * What's in the catalog, with the prices we know of.
+ *
+ * @returns {{version: string, skins: Record<string, number|null>, bundles: Record<string, number|null>, cards: string[], titles: string[]}}
+ */
+export const catalogSnapshot = () => {
+    const items = (data) => Object.values(data || {}).filter(item => item && typeof item === "object" && item.uuid);
+    return {
+        version: skins?.version || gameVersion,
+        skins: Object.fromEntries(items(skins).map(skin => [skin.uuid, prices?.[skin.uuid] || null])),
+        bundles: Object.fromEntries(items(bundles).map(bundle => [bundle.uuid, bundle.price || null])),
+        cards: items(cards).map(card => card.uuid),
+        titles: items(titles).map(title => title.uuid)
+    };
+}
+
+/**
+ * Prices are only learnt from people's shops, so price changes keep
+ * showing up for a while after the patch itself.
+ *
+ * @returns {{newSkins: string[], newBundles: string[], newCards: string[], newTitles: string[],
+ *     changedPrices: {uuid: string, type: "skin"|"bundle", before: number, after: number}[]}}
+ */
+export const diffCatalogs = (previous, current) => {
+    const added = (before, after) => after.filter(uuid => !before.has(uuid));
+    const changedPrices = [];
+    for (const type of ["skin", "bundle"]) {
+        const before = previous[type + "s"] || {}, after = current[type + "s"] || {};
+        for (const [uuid, price] of Object.entries(after)) {
+            if (price && before[uuid] && before[uuid] !== price) changedPrices.push({ uuid, type, before: before[uuid], after: price });
+        }
+    }
+
+    return {
+        newSkins: added(new Set(Object.keys(previous.skins || {})), Object.keys(current.skins || {})),
+        newBundles: added(new Set(Object.keys(previous.bundles || {})), Object.keys(current.bundles || {})),
+        newCards: added(new Set(previous.cards || []), current.cards || []),
+        newTitles: added(new Set(previous.titles || []), current.titles || []),
+        changedPrices
+    };
+}
+
+/**
+ * @param {(patch: Object) => Promise<void>} listener called on shard 0 with the same thing as getPatch() when the game updates
+ */
+export const onNewGameVersion = (listener) => {
+    gameVersionListeners.push(listener);
+}
+
+const newGameVersion = async (previousCatalog, versionName) => {
+    const snapshot = { version: versionName, detectedAt: Date.now(), previous: previousCatalog };
+    try {
+        await fs.promises.writeFile(CATALOG_SNAPSHOT_FILE, JSON.stringify(snapshot));
+    } catch (e) {
+        console.error("Could not save the previous catalog!", e);
+    }
+
+    const patch = patchFromSnapshot(snapshot);
+    console.log(`New game version ${versionName}: ${patch.newSkins.length} new skins, ${patch.newBundles.length} new bundles`);
+    for (const listener of gameVersionListeners) {
+        try {
+            await listener(patch);
+        } catch (e) {
+            console.error("Error while handling the new game version!", e);
+        }
+    }
+}
+
+const patchFromSnapshot = (snapshot) => ({
+    version: snapshot.version,
+    detectedAt: snapshot.detectedAt,
+    ...diffCatalogs(snapshot.previous, catalogSnapshot())
+});
+
+/**
+ * @returns {Promise<Object|null>} what changed since the last game version,
+ *     diffCatalogs() with the version and when it was detected. null if no update was seen yet.
+ */
+export const getPatch = async () => {
+    await fetchData([skins, prices, bundles, cards, titles]);
+
+    const snapshot = await asyncReadJSONFile(CATALOG_SNAPSHOT_FILE);
+    if (!snapshot?.previous) return null;
+    return patchFromSnapshot(snapshot);
+}
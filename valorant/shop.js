@@ -8,10 +8,21 @@ import {
 } from "../misc/util.js";
 import { addBundleData, getSkin, getSkinFromSkinUuid, addPricesFromShop, getBundle, getItem } from "./cache.js";
 import { addStore } from "../misc/stats.js";
+import { addShopHistory, getShopCacheEntry, setShopCacheEntry, deleteShopCacheEntry, clearShopCacheEntries, pruneShopCacheEntries } from "../misc/userDatabase.js";
 import config from "../misc/config.js";
 import { deleteUser, saveUser } from "./accountSwitcher.js";
 
-const memoryShopCache = new Map();
+/* Where shop caches are kept: the SQLite database all shards share.
+ * A shop fetched by one shard doesn't need to be fetched again by another,
+ * or after a restart. Entries are pruned once everything in them expired.
+ */
+const shopCacheStorage = {
+    get: (puuid) => getShopCacheEntry(puuid),
+    set: (puuid, shopCache, expires) => setShopCacheEntry(puuid, shopCache, expires),
+    delete: (puuid) => deleteShopCacheEntry(puuid),
+    clear: () => clearShopCacheEntries(),
+    prune: (now) => pruneShopCacheEntries(now)
+};
 
 export const formatBundle = async (rawBundle) => {
     const bundle = {
@@ -93,6 +104,14 @@ export const getShop = async (id, account = null) => {
         console.error("Error adding shop stats:", e);
     }
 
+    if (config.trackShopHistory) {
+        try {
+            addShopHistory(user.puuid, new Date().toISOString().slice(0, 10), shopHistoryItems(json));
+        } catch (e) {
+            console.error("Error adding shop history:", e);
+        }
+    }
+
     addShopCache(user.puuid, json);
     addPricesFromShop(json);
 
@@ -104,14 +123,46 @@ export const getShop = async (id, account = null) => {
     return { success: true, shop: json };
 };
 
-export const getOffers = async (id, account = null) => {
+const VP_CURRENCY = "85ad13f7-3d1b-5128-9eb2-7cd8ee0b5741";
+const KC_CURRENCY = "85ca954a-41f2-ce94-9b45-8ca3dd39a00d";
+
+/**
+ * Everything in a storefront that's worth remembering for /shop history.
+ *
+ * @returns {import("../misc/userDatabase.js").ShopHistoryItem[]}
+ */
+export const shopHistoryItems = (shopJson) => {
+    const items = [];
+
+    const dailyOffers = shopJson.SkinsPanelLayout?.SingleItemStoreOffers || [];
+    for (const uuid of shopJson.SkinsPanelLayout?.SingleItemOffers || []) {
+        const offer = dailyOffers.find(offer => offer.OfferID === uuid);
+        items.push({ store: "daily", itemUuid: uuid, cost: offer?.Cost?.[VP_CURRENCY] });
+    }
+
+    for (const offer of formatNightMarket(shopJson.BonusStore)?.offers || []) {
+        items.push({ store: "nightMarket", itemUuid: offer.uuid, cost: offer.nmPrice, discount: offer.percent });
+    }
+
+    for (const offer of shopJson.AccessoryStore?.AccessoryStoreOffers || []) {
+        for (const reward of offer.Offer?.Rewards || []) {
+            items.push({ store: "accessory", itemUuid: reward.ItemID, itemType: reward.ItemTypeID, cost: offer.Offer.Cost?.[KC_CURRENCY] });
+        }
+    }
+
+    return items;
+}
+
+// getOffers(), getBundles() and getNightMarket() can be given what getShop() returned,
+// so that getting several of them only fetches the storefront once
+export const getOffers = async (id, account = null, storefront = null) => {
     const puuid = getPuuid(id, account);
     if (!puuid) return { success: false, error: "User not found" };
 
     const shopCache = await getShopCache(puuid, "offers");
     if (shopCache) return { success: true, cached: true, ...shopCache.offers };
 
-    const resp = await getShop(id, account);
+    const resp = storefront || await getShop(id, account);
     if (!resp.success) return resp;
 
     return await easterEggOffers(id, account, {
@@ -129,7 +180,7 @@ export const getOffers = async (id, account = null) => {
     });
 };
 
-export const getBundles = async (id, account = null) => {
+export const getBundles = async (id, account = null, storefront = null) => {
     const puuid = getPuuid(id, account);
     if (!puuid) return { success: false, error: "User not found" };
 
@@ -146,21 +197,21 @@ export const getBundles = async (id, account = null) => {
         if (complete) return { success: true, bundles: shopCache.bundles };
     }
 
-    const resp = await getShop(id, account);
+    const resp = storefront || await getShop(id, account);
     if (!resp.success) return resp;
 
     const formatted = await Promise.all(resp.shop.FeaturedBundle.Bundles.map(rawBundle => formatBundle(rawBundle)));
     return { success: true, bundles: formatted };
 };
 
-export const getNightMarket = async (id, account = null) => {
+export const getNightMarket = async (id, account = null, storefront = null) => {
     const puuid = getPuuid(id, account);
     if (!puuid) return { success: false, error: "User not found" };
 
     const shopCache = await getShopCache(puuid, "night_market");
     if (shopCache) return { success: true, ...shopCache.night_market };
 
-    const resp = await getShop(id, account);
+    const resp = storefront || await getShop(id, account);
     if (!resp.success) return resp;
 
     if (!resp.shop.BonusStore) return {
@@ -203,6 +254,32 @@ export const getBalance = async (id, account = null) => {
     };
 };
 
+/**
+ * Compare the price of items against a balance: which ones are affordable,
+ * how much is missing for the others, and the most items that can be
+ * bought together (the cheapest ones first).
+ *
+ * @param {{price: number}[]} items
+ * @param {number} balance
+ */
+export const planBudget = (items, balance) => {
+    const priced = items.filter(item => item.price).sort((a, b) => a.price - b.price);
+
+    const combination = [];
+    let total = 0;
+    for (const item of priced) {
+        if (total + item.price > balance) break;
+        combination.push(item);
+        total += item.price;
+    }
+
+    return {
+        affordable: priced.filter(item => item.price <= balance),
+        missing: priced.filter(item => item.price > balance).map(item => ({ ...item, needed: item.price - balance })),
+        combination: { items: combination, total, left: balance - total }
+    };
+}
+
 let nextNMTimestamp = null, nextNMTimestampUpdated = 0;
 export const getNextNightMarketTimestamp = async () => {
     if (nextNMTimestampUpdated > Date.now() - 5 * 60 * 1000) return nextNMTimestamp;
@@ -225,7 +302,7 @@ export const getShopCache = async (puuid, target = "offers", print = true) => {
     if (!config.useShopCache) return null;
 
     try {
-        const shopCache = memoryShopCache.get(puuid);
+        const shopCache = shopCacheStorage.get(puuid);
         if (!shopCache) return null;
 
         let expiresTimestamp;
@@ -238,17 +315,20 @@ export const getShopCache = async (puuid, target = "offers", print = true) => {
         }
 
         if (Date.now() / 1000 > expiresTimestamp) {
-            memoryShopCache.delete(puuid);
+            shopCacheStorage.delete(puuid);
             return null;
         }
 
         if (print) console.log(`Fetched shop cache for user ${puuid}`);
 
         if (!shopCache.offers.accessory) {
-            memoryShopCache.delete(puuid);
+            shopCacheStorage.delete(puuid);
             return null;
         }
 
+        // the shop might have been fetched by another shard
+        if (shopCache.night_market && shopCache.timestamp > NMTimestamp) NMTimestamp = shopCache.timestamp;
+
         return shopCache;
     } catch (e) {
         console.error(`Failed to get shop cache for ${puuid}:`, e);
@@ -283,14 +363,21 @@ const addShopCache = async (puuid, shopJson) => {
 
     if (shopJson.BonusStore) NMTimestamp = now;
 
-    memoryShopCache.set(puuid, shopCache);
+    const nmExpires = shopCache.night_market ? shopCache.night_market.expires : getMidnightTimestamp(now);
+    const expires = Math.max(shopCache.offers.expires, shopCache.offers.accessory.expires, ...shopCache.bundles.map(bundle => bundle.expires), nmExpires);
+
+    shopCacheStorage.set(puuid, shopCache, expires);
     console.log(`Added shop cache for user ${puuid}`);
 };
 
-export const clearShopMemoryCache = async () => {
-    const memoryEntries = memoryShopCache.size;
-    memoryShopCache.clear();
-    console.log(`Cleared shop memory cache (${memoryEntries} entries)`);
+export const clearShopCache = async () => {
+    const entries = shopCacheStorage.clear();
+    console.log(`Cleared shop cache (${entries} entries)`);
+};
+
+export const pruneShopCache = () => {
+    const pruned = shopCacheStorage.prune(Math.floor(Date.now() / 1000));
+    if (pruned) console.log(`Pruned ${pruned} expired shop caches`);
 };
 
 const getMidnightTimestamp = (timestamp) => {